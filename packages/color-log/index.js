@@ -27,31 +27,24 @@
 var util = require('util');
 
 /**
- * Styles used for color printing.
+ * Detects the color support of the console and builds ANSI color styles.
+ * @requires @jramos-br/trace-core/color
+ */
+var color = require('@jramos-br/trace-core/color');
+
+/**
+ * Styles used for color printing, for the color level of the stream of each message.
  * @see https://en.wikipedia.org/wiki/ANSI_escape_code
  */
 var styles = (function() {
-  var hascolor = (function() {
-    if (process.platform === 'win32') {
-      var os = require('os');
-      var release = parseInt(os.release(), 10);
-      if (!isNaN(release) && release >= 10) {
-        return true;
-      }
-    }
-    var terms = /^screen|^xterm|^vt100|^rxvt|color|ansi|cygwin|linux/i;
-    if (terms.test(process.env.TERM)) {
-      return true;
-    }
-    return false;
-  })();
+  var errlevel = color.detect(process.stderr);
   return {
     /** Informational message style. */
     log: null,
     /** Warning message style. */
-    warn: hascolor ? ['\x1b[33m', '\x1b[39m'] : null,
+    warn: color.style('yellow', errlevel),
     /** Error message style. */
-    error: hascolor ? ['\x1b[31m', '\x1b[39m'] : null
+    error: color.style('red', errlevel)
   };
 })();
 
@@ -92,7 +85,7 @@ var indent = console.group
  */
 exports.log = function() {
   var message = util.format.apply(util, arguments);
-  var style = process.stdout.isTTY ? styles.log : null;
+  var style = styles.log;
   if (style) {
     console.log(style[0] + indent(message) + style[1]);
   } else {
@@ -111,7 +104,7 @@ exports.log = function() {
  */
 exports.warn = function() {
   var message = util.format.apply(util, arguments);
-  var style = process.stderr.isTTY ? styles.warn : null;
+  var style = styles.warn;
   if (style) {
     console.warn(style[0] + indent(message) + style[1]);
   } else {
@@ -130,7 +123,7 @@ exports.warn = function() {
  */
 exports.error = function() {
   var message = util.format.apply(util, arguments);
-  var style = process.stderr.isTTY ? styles.error : null;
+  var style = styles.error;
   if (style) {
     console.error(style[0] + indent(message) + style[1]);
   } else {
@@ -12,6 +12,8 @@
  * the console functions. Messages do not print immediately. Instead, on each call, they
  * are inserted into a queue, which is automatically flushed when the process ends.
  * If ANSI color display is available, then the output will be styled with ANSI colors.
+ * The object is a tracer created by trace-core. Call its `createTracer()` method to get
+ * another tracer, with its own queue, that also prints using color styles.
  * @module trace-color
  */
 
@@ -19,340 +21,165 @@
 'use strict';
 
 /**
- * The `util` module is primarily designed to support the needs of Node.js' own internal
- * APIs. However, many of the utilities are useful for application and module developers
- * as well.
- * @requires util
- * https://nodejs.org/api/util.html
+ * Creates independent tracers that print trace messages using lazy write.
+ * @requires @jramos-br/trace-core
  */
-var util = require('util');
+var core = require('@jramos-br/trace-core');
 
 /**
- * Concatenates a number of copies of a given string.
- * @param {string} str The string to be repeated.
- * @param {number} count An integer indicating the number of times to repeat `str`.
- * @returns {string} A new string containing the specified number of copies of the given
- * string.
+ * Detects the color support of the console and builds ANSI color styles.
+ * @requires @jramos-br/trace-core/color
  */
-function repeat(str, count) {
-  return new Array(count + 1).join(str);
-}
+var color = require('@jramos-br/trace-core/color');
 
 /**
- * Joins two strings into a new string, separated by one space.
- * @param {string} str1 The first string.
- * @param {string} str2 The second string.
- * @returns {string} A new string containing the given strings separated by one space.
+ * Default styles of the printer, indexed by level, and of the `enter()` and `leave()`
+ * markers. See `color.style()` for the syntax.
  */
-function join2(str1, str2) {
-  var res;
-  if (str1) {
-    res = str2 ? str1 + ' ' + str2 : str1;
-  } else {
-    res = str2 === undefined || str2 === null ? '' : str2;
-  }
-  return res;
-}
+var defaultTheme = {
+  trace: 'gray',
+  debug: 'cyan',
+  log: 'white',
+  warn: 'yellow',
+  error: 'red',
+  fatal: 'bold magenta',
+  enter: null,
+  leave: null
+};
 
 /**
- * Creates a message to be enqueued in the message queue.
- * @constructor
- * @param {string} text The message text.
- * @param {number} width The indentation width.
- * @param {number} type The message type: `LOG`, `WARN` or `ERROR`.
- * @returns A message to be enqueued in the message queue with the given data.
+ * Matches the indentation, namespace and marker at the beginning of a line written by
+ * `enter()` or `leave()`.
  */
-function Message(text, width, type) {
-  this.next = null;
-  this.text = text;
-  this.width = width;
-  this.type = type;
-}
-
-/** Informational message type. */
-Message.prototype.LOG = 1;
-/** Warning message type. */
-Message.prototype.WARN = 2;
-/** Error message type. */
-Message.prototype.ERROR = 3;
+var markerRegex = /^( *(?:\[[^\]]*\] )?)([<>])/;
 
 /**
- * Private data of the module.
+ * Matches the guides drawn by the `tree` format at the beginning of a line, in cells of
+ * 3 characters, Unicode or ASCII.
  */
-var ctx = {
-  /** Number of spaces in an indent. */
-  indentSize: 2,
-  /** Indent level. */
-  indentLevel: 0,
-  /** Current indentation width (`indentLevel` times `indentSize`). */
-  indentWidth: 0,
-  /** Head of message queue. */
-  head: null,
-  /** Tail of message queue. */
-  tail: null,
-  /** Saved names for `enter()` and `leave()`. */
-  names: []
-};
+var guideRegex = /^(?:[│|] {2}| {3}|[├└+`][─-] )+/;
 
 /**
  * Creates a printer to print messages to the console.
  * If ANSI color display is available, then the output will be styled with ANSI colors.
- */
-function Printer() {
-  var hascolor = (function() {
-    if (process.platform === 'win32') {
-      var os = require('os');
-      var release = parseInt(os.release(), 10);
-      if (!isNaN(release) && release >= 10) {
-        return true;
-      }
-    }
-    var terms = /^screen|^xterm|^vt100|^rxvt|color|ansi|cygwin|linux/i;
-    if (terms.test(process.env.TERM)) {
-      return true;
-    }
-    return false;
-  })();
-  var outcolor = hascolor && process.stdout.isTTY;
-  var errcolor = hascolor && process.stderr.isTTY;
-  /**
-   * Styles used for color printing.
-   * @see https://en.wikipedia.org/wiki/ANSI_escape_code
-   */
-  this.styles = {
-    /** Informational message style. */
-    log: outcolor ? ['\x1b[37m', '\x1b[39m'] : null,
-    /** Warning message style. */
-    warn: errcolor ? ['\x1b[33m', '\x1b[39m'] : null,
-    /** Error message style. */
-    error: errcolor ? ['\x1b[31m', '\x1b[39m'] : null
-  };
+ * @constructor
+ * @param {object} [options] The printer options.
+ * @param {object} [options.theme] Styles that override the default ones, indexed by
+ * level (`trace`, `debug`, `log`, `warn`, `error` and `fatal`) or marker (`enter` and
+ * `leave`), e.g. `{ warn: 'bold yellow', enter: 'green' }`. See `color.style()` for the
+ * syntax. A `null` style prints without color.
+ * @param {string[]} [options.depthColors] Styles of the guides drawn by the `tree`
+ * format, one per depth, repeated for deeper levels, e.g. `['cyan', 'magenta',
+ * 'yellow']`. By default, guides have the style of their line.
+ */
+function Printer(options) {
+  var specs = {};
+  var theme = options && options.theme;
+  var depthColors = options && options.depthColors || [];
+  for (var name in defaultTheme) {
+    specs[name] = theme && theme[name] !== undefined ? theme[name] : defaultTheme[name];
+  }
+  for (var i = 0; i < depthColors.length; ++i) {
+    specs['depth' + i] = depthColors[i];
+  }
+  /** Number of depth styles. */
+  this.depthCount = depthColors.length;
+  /** Styles of the messages printed to `stdout`. */
+  this.out = new color.Theme(specs, color.detect(process.stdout));
+  /** Styles of the messages printed to `stderr`. */
+  this.err = new color.Theme(specs, color.detect(process.stderr));
 }
 
 /**
- * Prints to `stdout` with newline.
- * @param {string} message The message to be printed.
- * @description The message is printed with `console.log()`. If ANSI color display is
- * available, then the message will be styled with an ANSI color.
+ * Styles a message. The `enter()` and `leave()` markers, if any, get their own styles,
+ * and so do the guides of the `tree` format, if there are depth styles.
+ * @param {Theme} theme The styles of the stream.
+ * @param {string} name The style name of the message level.
+ * @param {string} message The message.
+ * @returns {string} The styled message.
  */
-Printer.prototype.log = function(message) {
-  if (this.styles.log) {
-    console.log(this.styles.log[0] + message + this.styles.log[1]);
-  } else {
-    console.log(message);
+Printer.prototype.paint = function(theme, name, message) {
+  var guides = this.depthCount > 0 && guideRegex.exec(message);
+  if (guides) {
+    var cells = '';
+    for (var i = 0; i < guides[0].length; i += 3) {
+      cells += theme.paint('depth' + i / 3 % this.depthCount, guides[0].substr(i, 3));
+    }
+    return cells + this.paint(theme, name, message.slice(guides[0].length));
   }
+  var match = markerRegex.exec(message);
+  var marker = match && theme.styles[match[2] === '>' ? 'enter' : 'leave'];
+  if (!marker) {
+    return theme.paint(name, message);
+  }
+  return theme.paint(name, match[1]) + marker[0] + match[2] + marker[1] +
+    theme.paint(name, message.slice(match[0].length));
 };
 
 /**
- * Prints to `stderr` with newline.
+ * Prints a tracing message to `stdout` with newline.
  * @param {string} message The message to be printed.
- * @description The message is printed with `console.warn()`. If ANSI color display is
+ * @description The message is printed with `console.log()`. If ANSI color display is
  * available, then the message will be styled with an ANSI color.
  */
-Printer.prototype.warn = function(message) {
-  if (this.styles.warn) {
-    console.warn(this.styles.warn[0] + message + this.styles.warn[1]);
-  } else {
-    console.warn(message);
-  }
+Printer.prototype.trace = function(message) {
+  console.log(this.paint(this.out, 'trace', message));
 };
 
 /**
- * Prints to `stderr` with newline.
+ * Prints a debugging message to `stdout` with newline.
  * @param {string} message The message to be printed.
- * @description The message is printed with `console.error()`. If ANSI color display is
+ * @description The message is printed with `console.log()`. If ANSI color display is
  * available, then the message will be styled with an ANSI color.
  */
-Printer.prototype.error = function(message) {
-  if (this.styles.error) {
-    console.error(this.styles.error[0] + message + this.styles.error[1]);
-  } else {
-    console.error(message);
-  }
+Printer.prototype.debug = function(message) {
+  console.log(this.paint(this.out, 'debug', message));
 };
 
 /**
- * Inserts indentation at beginning of a string.
- * @param {string} indentation The indentation to be prepended.
- * @param {string} text The string to indent.
- * @returns {string} The given string prepended with the given indentation.
- */
-function indent(indentation, text) {
-  if (indentation.length !== 0) {
-    if (text.indexOf('\n') !== -1) {
-      text = text.replace(/\n/g, '\n' + indentation);
-    }
-    text = indentation + text;
-  }
-  return text;
-}
-
-/**
- * Prints a header line followed by all messages in the message queue.
- * Each message is printed using the appropriate console function, according with the
- * message type (`LOG`, `WARN` or `ERROR`).
- * This function is called automatically when the process ends.
- * If ANSI color is available, then the output will be styled with ANSI color codes.
- */
-function show() {
-  var curr = ctx.head;
-  if (curr) {
-    var printer = new Printer();
-    printer.log(repeat('-', 80));
-    var indentwidth = 0;
-    var indentation = '';
-    do {
-      if (curr.width !== indentwidth) {
-        indentwidth = curr.width;
-        indentation = repeat(' ', indentwidth);
-      }
-      if (curr.type === Message.prototype.LOG) {
-        printer.log(indent(indentation, curr.text));
-      } else if (curr.type === Message.prototype.WARN) {
-        printer.warn(indent(indentation, curr.text));
-      } else {
-        printer.error(indent(indentation, curr.text));
-      }
-      curr = curr.next;
-    } while (curr);
-  }
-}
-
-/**
- * Enqueues a text message in the message queue, to be printed later.
- * @param {string} text The text of the message to be printed.
- * @param {number} type The message type: `LOG`, `WARN` or `ERROR`.
- */
-function write(text, type) {
-  var message = new Message(text, ctx.indentWidth, type);
-  if (ctx.head === null) {
-    ctx.head = message;
-  } else {
-    ctx.tail.next = message;
-  }
-  ctx.tail = message;
-}
-
-/**
- * Formats a message and enqueues the result for later printing.
- * @param {any} args The message to be formatted and printed. Multiple arguments can
- * be passed, with the first used as the primary message and all additional used as
- * substitution values similar to `printf(3)`.
- * @description The arguments are all passed to `util.format()`. The formatted message
- * is enqueued to be printed with `console.log()`.
- */
-exports.log = function() {
-  write(util.format.apply(util, arguments), Message.prototype.LOG);
-};
-
-/**
- * Formats a warning message and enqueues the result for later printing.
- * @param {any} args The message to be formatted and printed. Multiple arguments can
- * be passed, with the first used as the primary message and all additional used as
- * substitution values similar to `printf(3)`.
- * @description The arguments are all passed to `util.format()`. The formatted message
- * is enqueued to be printed with `console.warn()`.
- */
-exports.warn = function() {
-  write(util.format.apply(util, arguments), Message.prototype.WARN);
-};
-
-/**
- * Formats an error message and enqueues the result for later printing.
- * @param {any} args The message to be formatted and printed. Multiple arguments can
- * be passed, with the first used as the primary message and all additional used as
- * substitution values similar to `printf(3)`.
- * @description The arguments are all passed to `util.format()`. The formatted message
- * is enqueued to be printed with `console.error()`.
+ * Prints to `stdout` with newline.
+ * @param {string} message The message to be printed.
+ * @description The message is printed with `console.log()`. If ANSI color display is
+ * available, then the message will be styled with an ANSI color.
  */
-exports.error = function() {
-  write(util.format.apply(util, arguments), Message.prototype.ERROR);
+Printer.prototype.log = function(message) {
+  console.log(this.paint(this.out, 'log', message));
 };
 
 /**
- * Pretends to print a formatted message.
- * @param {any} args Multiple arguments can be passed. The arguments are all ignored.
+ * Prints to `stderr` with newline.
+ * @param {string} message The message to be printed.
+ * @description The message is printed with `console.warn()`. If ANSI color display is
+ * available, then the message will be styled with an ANSI color.
  */
-exports.ignore = function() {
+Printer.prototype.warn = function(message) {
+  console.warn(this.paint(this.err, 'warn', message));
 };
 
 /**
- * Formats an optional message, enqueues the result for later printing and increases the
- * indentation of subsequent lines.
- * @param {any} args An optional message to be formatted and printed. Multiple arguments
- * can be passed, with the first used as the primary message and all additional used as
- * substitution values similar to `printf(3)`.
- * @description The arguments are all passed to `util.format()`. The formatted message
- * is enqueued to be printed with `console.log()`.
+ * Prints to `stderr` with newline.
+ * @param {string} message The message to be printed.
+ * @description The message is printed with `console.error()`. If ANSI color display is
+ * available, then the message will be styled with an ANSI color.
  */
-exports.indent = function() {
-  if (arguments.length > 0) {
-    exports.log.apply(exports, arguments);
-  }
-  ctx.indentWidth = ++ctx.indentLevel * ctx.indentSize;
+Printer.prototype.error = function(message) {
+  console.error(this.paint(this.err, 'error', message));
 };
 
 /**
- * Formats an optional message, enqueues the result for later printing and increases the
- * indentation of subsequent lines.
- * @param {any} args An optional message to be formatted and printed. Multiple arguments
- * can be passed, with the first used as the primary message and all additional used as
- * substitution values similar to `printf(3)`.
- * @description The arguments are all passed to `util.format()`. The formatted message
- * is enqueued to be printed with `console.log()`.
- */
-exports.group = exports.indent;
-
-/**
- * Decreases the indentation of subsequent lines.
+ * Prints a fatal error message to `stderr` with newline.
+ * @param {string} message The message to be printed.
+ * @description The message is printed with `console.error()`. If ANSI color display is
+ * available, then the message will be styled with a bold ANSI color.
  */
-exports.unindent = function() {
-  if (ctx.indentLevel > 0) {
-    ctx.indentWidth = --ctx.indentLevel * ctx.indentSize;
-  }
+Printer.prototype.fatal = function(message) {
+  console.error(this.paint(this.err, 'fatal', message));
 };
 
-/**
- * Decreases the indentation of subsequent lines.
- */
-exports.groupEnd = exports.unindent;
-
-/**
- * Formats a message, enqueues the result for later printing and increases the
- * indentation of subsequent lines.
- * @param {any} args The message to be formatted and printed. Multiple arguments can
- * be passed, with the first used as the primary message and all additional used as
- * substitution values similar to `printf(3)`.
- * @description The arguments are all passed to `util.format()`. The formatted message
- * is enqueued to be printed with `console.log()`. The first word of the formatted
- * message is saved to be printed automatically by `leave()`.
- */
-exports.enter = function() {
-  var message = util.format.apply(util, arguments);
-  var match = message.match(/\w+/);
-  ctx.names.push(match ? match[0] : message);
-  var text = '>' + repeat(' ', ctx.indentSize - 1) + message;
-  write(text, Message.prototype.LOG);
-  exports.indent();
-};
+module.exports = core.createTracer({ output: new Printer() });
 
 /**
- * Decreases the indentation of subsequent lines, formats an optional message and enqueues
- * the result for later printing.
- * @param {any} args An optional message to be formatted and printed. Multiple arguments
- * can be passed, with the first used as the primary message and all additional used as
- * substitution values similar to `printf(3)`.
- * @description The arguments are all passed to `util.format()`. The formatted message
- * is prepended with the word saved by `enter()`. The result is enqueued to be printed
- * with `console.log()`.
+ * The printer constructor, to create tracers with other styles, e.g.
+ * `trace.createTracer({ output: new trace.Printer({ theme: { warn: 'yellow' } }) })`.
  */
-exports.leave = function() {
-  var message = util.format.apply(util, arguments);
-  var name = ctx.names.pop();
-  var text = '<' + repeat(' ', ctx.indentSize - 1) + join2(name, message);
-  exports.unindent();
-  write(text, Message.prototype.LOG);
-};
-
-// Schedules a callback to show the log when process ends.
-process.on('exit', show);
+module.exports.Printer = Printer;
@@ -0,0 +1,153 @@
+/**
+ * @file Renders the message queue of a tracer in the Chrome Trace Event format.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module renders messages as a JSON document in the Trace Event
+ * format, which can be opened in Perfetto or `chrome://tracing`. Frames opened by
+ * `enter()` and closed by `leave()` become duration events, other messages become
+ * instant events, and each async chain gets its own track.
+ * @module trace-core/chrome
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Messages enqueued in the message queue of a tracer.
+ * @requires trace-core/message
+ */
+var Message = require('./message');
+
+/**
+ * Severity levels of trace messages.
+ * @requires trace-core/levels
+ */
+var levels = require('./levels');
+
+/**
+ * Converts a message to a trace event.
+ * @param {Message} message The message.
+ * @param {number} pid The process id.
+ * @param {number} tid The id of the track of the message. See `trackIds()`.
+ * @returns {object} A duration begin (`B`) event for an `enter` message, a duration end
+ * (`E`) event for a `leave` message, or a thread-scoped instant (`i`) event otherwise.
+ * The track is the async chain of the message. Instant events of warnings and errors
+ * carry the path of the open frames.
+ */
+function toEvent(message, pid, tid) {
+  var event = {
+    name: message.name || message.text,
+    cat: message.namespace || 'trace',
+    ph: 'i',
+    ts: Math.round(message.ts),
+    pid: pid,
+    tid: tid,
+    args: { level: levels.name(message.type), message: message.text }
+  };
+  if (message.kind === 'enter') {
+    event.ph = 'B';
+  } else if (message.kind === 'leave') {
+    event.ph = 'E';
+  } else {
+    event.s = 't';
+    if (message.path !== null) {
+      event.args.path = message.path;
+    }
+  }
+  return event;
+}
+
+/**
+ * Numbers the tracks of a list of messages. The chains of the main thread are numbered
+ * by their ids, and the chains of worker threads after them, in the order they first
+ * wrote.
+ * @param {Message[]} messages The messages.
+ * @returns {object} The track ids, indexed by track name. See
+ * `Message.prototype.track()`.
+ */
+function trackIds(messages) {
+  var ids = {};
+  var next = 0;
+  for (var i = 0; i < messages.length; ++i) {
+    if (messages[i].thread === 0) {
+      ids[messages[i].track()] = messages[i].chain;
+      next = Math.max(next, messages[i].chain + 1);
+    }
+  }
+  for (var j = 0; j < messages.length; ++j) {
+    var track = messages[j].track();
+    if (ids[track] === undefined) {
+      ids[track] = next++;
+    }
+  }
+  return ids;
+}
+
+/**
+ * Renders the messages of a flushed queue as a Trace Event JSON document.
+ * @param {object} batch The flushed queue. See `text.render()` for details.
+ * @returns {object[]} The lines to be printed, each one with `type` and `text`. The
+ * lines make one JSON object, with one event per line in its `traceEvents` array.
+ * @description A metadata event names the track of each async chain (`chain N`, or
+ * `thread T chain N` for the chains of worker threads). A `leave` message whose `enter`
+ * message was dropped from the queue is skipped, so every duration end has its begin. If
+ * messages were dropped, an instant event reporting their number is rendered first. The
+ * profile statistics are not rendered.
+ */
+exports.render = function(batch) {
+  var type = Message.prototype.LOG;
+  var pid = process.pid;
+  var events = [];
+  var open = {};
+  var messages = batch.messages;
+  var ids = trackIds(messages);
+  for (var i = 0; i < messages.length; ++i) {
+    var message = messages[i];
+    var track = message.track();
+    if (open[track] === undefined) {
+      open[track] = 0;
+      events.push({
+        name: 'thread_name',
+        ph: 'M',
+        pid: pid,
+        tid: ids[track],
+        args: { name: track }
+      });
+    }
+    if (message.kind === 'enter') {
+      ++open[track];
+    } else if (message.kind === 'leave') {
+      if (open[track] === 0) {
+        continue;
+      }
+      --open[track];
+    }
+    events.push(toEvent(message, pid, ids[track]));
+  }
+  if (batch.dropped > 0 && messages.length > 0) {
+    events.unshift({
+      name: batch.dropped + ' earlier messages dropped',
+      cat: 'trace',
+      ph: 'i',
+      s: 'p',
+      ts: Math.round(messages[0].ts),
+      pid: pid,
+      tid: ids[messages[0].track()]
+    });
+  }
+  var lines = [{ type: type, text: '{"traceEvents":[' }];
+  for (var j = 0; j < events.length; ++j) {
+    lines.push({
+      type: type,
+      text: JSON.stringify(events[j]) + (j < events.length - 1 ? ',' : '')
+    });
+  }
+  lines.push({ type: type, text: '],"displayTimeUnit":"ms"}' });
+  return lines;
+};
@@ -0,0 +1,197 @@
+/**
+ * @file Collapses repeated sibling subtrees of the message queue of a tracer.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module finds runs of consecutive sibling subtrees, each one a frame
+ * with its messages or a single message, that are identical or differ only in numbers,
+ * as written by loops, and keeps one of them annotated with the number of repetitions,
+ * e.g. `> step(1) (×100)`. The messages in the queue are not changed: annotated messages
+ * are copies.
+ * @module trace-core/collapse
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Messages enqueued in the message queue of a tracer.
+ * @requires trace-core/message
+ */
+var Message = require('./message');
+
+/**
+ * Splits a range of messages of one async chain into sibling subtrees. Each subtree is
+ * a frame, from its `enter` message to its `leave` message, or to the end of the range
+ * if it is still open, or any other single message.
+ * @param {Message[]} messages The messages.
+ * @param {number} start The index of the first message of the range.
+ * @param {number} end The index after the last message of the range.
+ * @returns {object[]} The subtrees, each one with the `start` and `end` indexes.
+ */
+function split(messages, start, end) {
+  var units = [];
+  var i = start;
+  while (i < end) {
+    var j = i + 1;
+    if (messages[i].kind === 'enter') {
+      for (var level = 1; j < end && level > 0; ++j) {
+        if (messages[j].kind === 'enter') {
+          ++level;
+        } else if (messages[j].kind === 'leave') {
+          --level;
+        }
+      }
+    }
+    units.push({ start: i, end: j });
+    i = j;
+  }
+  return units;
+}
+
+/**
+ * Computes the signature of a subtree: its structure and texts, without times.
+ * @param {Message[]} messages The messages.
+ * @param {object} unit The subtree. See `split()`.
+ * @param {boolean} ignoreNumbers Whether the numbers in the texts are ignored.
+ * @returns {string} The signature. Subtrees with the same signature are repetitions.
+ */
+function signature(messages, unit, ignoreNumbers) {
+  var base = messages[unit.start].depth;
+  var parts = [];
+  for (var i = unit.start; i < unit.end; ++i) {
+    var message = messages[i];
+    var text = ignoreNumbers ? message.text.replace(/\d+(\.\d+)?/g, '#') : message.text;
+    parts.push([message.depth - base, message.kind, message.type, message.namespace,
+      message.name, text].join('\u0000'));
+  }
+  return parts.join('\n');
+}
+
+/**
+ * Copies a message with a new text. The copy shares everything else with the message.
+ * @param {Message} message The message.
+ * @param {string} text The new text.
+ * @returns {Message} The copy.
+ */
+function retext(message, text) {
+  var copy = Object.create(message);
+  copy.text = text;
+  return copy;
+}
+
+/**
+ * Collapses the repeated subtrees of a range of messages of one async chain.
+ * @param {Message[]} messages The messages.
+ * @param {number} start The index of the first message of the range.
+ * @param {number} end The index after the last message of the range.
+ * @param {object} options The collapse options. See `collapse()`.
+ * @param {Message[]} result The array that receives the messages to be rendered.
+ */
+function collapseRange(messages, start, end, options, result) {
+  var units = split(messages, start, end);
+  var sigs = units.map(function(unit) {
+    return signature(messages, unit, options.ignoreNumbers);
+  });
+  var i = 0;
+  while (i < units.length) {
+    var j = i + 1;
+    while (j < units.length && sigs[j] === sigs[i]) {
+      ++j;
+    }
+    var count = j - i;
+    if (count < options.minCount || options.keepEnds && count < 3) {
+      for (var k = i; k < j; ++k) {
+        emit(messages, units[k], options, result, null);
+      }
+    } else if (options.keepEnds) {
+      var first = messages[units[i].start];
+      emit(messages, units[i], options, result, null);
+      var more = new Message(Message.prototype.LOG, 'log', '(×' + (count - 2) + ' more)');
+      more.seq = messages[units[i + 1].start].seq;
+      more.chain = first.chain;
+      more.thread = first.thread;
+      more.depth = first.depth;
+      more.namespace = first.namespace;
+      more.time = messages[units[i + 1].start].time;
+      more.ts = messages[units[i + 1].start].ts;
+      result.push(more);
+      emit(messages, units[j - 1], options, result, null);
+    } else {
+      emit(messages, units[i], options, result, count);
+    }
+    i = j;
+  }
+}
+
+/**
+ * Adds a subtree to the messages to be rendered, with its own repetitions collapsed.
+ * @param {Message[]} messages The messages.
+ * @param {object} unit The subtree. See `split()`.
+ * @param {object} options The collapse options. See `collapse()`.
+ * @param {Message[]} result The array that receives the messages to be rendered.
+ * @param {number} count The number of repetitions to annotate the first message with,
+ * or `null`.
+ */
+function emit(messages, unit, options, result, count) {
+  var head = messages[unit.start];
+  result.push(count ? retext(head, head.text + ' (×' + count + ')') : head);
+  if (unit.end - unit.start > 1) {
+    var last = messages[unit.end - 1];
+    var closed = last.kind === 'leave';
+    collapseRange(messages, unit.start + 1, closed ? unit.end - 1 : unit.end, options,
+      result);
+    if (closed) {
+      result.push(last);
+    }
+  }
+}
+
+/**
+ * Collapses runs of repeated sibling subtrees.
+ * @param {Message[]} messages The messages, in the order they were enqueued.
+ * @param {object} [options] The collapse options.
+ * @param {number} [options.minCount=2] Minimum number of repetitions to collapse.
+ * @param {boolean} [options.ignoreNumbers=true] Whether subtrees that differ only in
+ * numbers are repetitions.
+ * @param {boolean} [options.keepEnds=false] Whether the first and the last repetitions
+ * are kept, with a `(×N more)` message between them, instead of only the first one
+ * annotated with `(×N)`.
+ * @returns {Message[]} The messages to be rendered, in the order they were enqueued.
+ * Annotated messages are copies.
+ */
+function collapse(messages, options) {
+  options = {
+    minCount: options && options.minCount > 1 ? options.minCount : 2,
+    ignoreNumbers: !(options && options.ignoreNumbers === false),
+    keepEnds: !!(options && options.keepEnds)
+  };
+  var tracks = [];
+  var groups = {};
+  for (var i = 0; i < messages.length; ++i) {
+    var track = messages[i].track();
+    if (!groups[track]) {
+      tracks.push(track);
+      groups[track] = [];
+    }
+    groups[track].push(messages[i]);
+  }
+  var result = [];
+  for (var j = 0; j < tracks.length; ++j) {
+    var group = groups[tracks[j]];
+    collapseRange(group, 0, group.length, options, result);
+  }
+  if (tracks.length > 1) {
+    result.sort(function(a, b) {
+      return a.seq - b.seq;
+    });
+  }
+  return result;
+}
+
+exports.collapse = collapse;
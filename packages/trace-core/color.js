@@ -0,0 +1,331 @@
+/**
+ * @file Detects the color support of the console and builds ANSI color styles.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module finds how many colors a stream can display, from the command
+ * line flags, the environment and the terminal, and converts style descriptions like
+ * `bold red` or `bg#303030 white` to the ANSI escape codes supported by that stream.
+ * It is shared by the color-log and trace-color packages.
+ * @see https://en.wikipedia.org/wiki/ANSI_escape_code
+ * @module trace-core/color
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/** No color support. */
+var NONE = 0;
+/** The 16 basic ANSI colors. */
+var BASIC = 1;
+/** The 256 colors of the xterm palette. */
+var ANSI256 = 2;
+/** 24-bit RGB colors. */
+var TRUECOLOR = 3;
+
+/**
+ * Environment variables set by CI services whose logs display ANSI colors.
+ */
+var ciVendors = [
+  'TRAVIS', 'CIRCLECI', 'APPVEYOR', 'GITLAB_CI', 'GITHUB_ACTIONS', 'BUILDKITE', 'DRONE'
+];
+
+/**
+ * Foreground codes of the named colors. Background codes are 10 more.
+ */
+var colors = {
+  black: 30,
+  red: 31,
+  green: 32,
+  yellow: 33,
+  blue: 34,
+  magenta: 35,
+  cyan: 36,
+  white: 37,
+  gray: 90,
+  grey: 90,
+  blackBright: 90,
+  redBright: 91,
+  greenBright: 92,
+  yellowBright: 93,
+  blueBright: 94,
+  magentaBright: 95,
+  cyanBright: 96,
+  whiteBright: 97
+};
+
+/**
+ * Open and close codes of the text modifiers.
+ */
+var modifiers = {
+  bold: [1, 22],
+  dim: [2, 22],
+  italic: [3, 23],
+  underline: [4, 24],
+  inverse: [7, 27]
+};
+
+/**
+ * Gets the color level forced by the command line flags.
+ * @returns {number} The level, or `undefined` if no flag forces it.
+ */
+function flagLevel() {
+  var argv = process.argv;
+  for (var i = argv.length - 1; i > 1; --i) {
+    switch (argv[i]) {
+      case '--no-color':
+      case '--no-colors':
+      case '--color=false':
+      case '--color=never':
+        return NONE;
+      case '--color':
+      case '--colors':
+      case '--color=true':
+      case '--color=always':
+        return BASIC;
+      case '--color=256':
+        return ANSI256;
+      case '--color=16m':
+      case '--color=truecolor':
+        return TRUECOLOR;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Gets the color level forced by the `FORCE_COLOR` environment variable.
+ * @returns {number} The level, or `undefined` if the variable is not set.
+ */
+function forcedLevel() {
+  var value = process.env.FORCE_COLOR;
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === 'false' || value === '0') {
+    return NONE;
+  }
+  var level = parseInt(value, 10);
+  return level >= BASIC && level <= TRUECOLOR ? level : BASIC;
+}
+
+/**
+ * Gets the color level of the terminal, from the platform and the `COLORTERM` and `TERM`
+ * environment variables.
+ * @returns {number} The level.
+ */
+function terminalLevel() {
+  var env = process.env;
+  if (env.TERM === 'dumb') {
+    return NONE;
+  }
+  if (process.platform === 'win32') {
+    var os = require('os');
+    var release = os.release().split('.');
+    if (parseInt(release[0], 10) >= 10) {
+      return parseInt(release[2], 10) >= 14931 ? TRUECOLOR : ANSI256;
+    }
+  }
+  if (env.COLORTERM === 'truecolor' || env.COLORTERM === '24bit') {
+    return TRUECOLOR;
+  }
+  if (/-256(color)?$/i.test(env.TERM)) {
+    return ANSI256;
+  }
+  if (/^screen|^xterm|^vt100|^rxvt|color|ansi|cygwin|linux/i.test(env.TERM) ||
+    env.COLORTERM) {
+    return BASIC;
+  }
+  return NONE;
+}
+
+/**
+ * Detects how many colors a stream can display.
+ * @param {object} [stream] The stream, e.g. `process.stdout`. If not given, only the
+ * flags and the environment are checked.
+ * @returns {number} The color level: `NONE` (0), `BASIC` (1, 16 colors), `ANSI256` (2)
+ * or `TRUECOLOR` (3).
+ * @description The checks are, in order: the `--no-color` and `--color[=256|16m]`
+ * command line flags; the `FORCE_COLOR` environment variable (`0` or `false` to disable
+ * colors, `1`, `2` or `3` to force a level); the `NO_COLOR` environment variable, which
+ * disables colors when set to any value but the empty string; the logs of the CI
+ * services known to display colors, which get 16 colors, while other CI environments
+ * (`CI` set) get none; a stream that is not a TTY, which gets none; and finally the
+ * terminal, from `COLORTERM` and `TERM`.
+ * @see https://no-color.org
+ */
+function detect(stream) {
+  var level = flagLevel();
+  if (level === undefined) {
+    level = forcedLevel();
+  }
+  if (level !== undefined) {
+    return level;
+  }
+  var env = process.env;
+  if (env.NO_COLOR) {
+    return NONE;
+  }
+  if (env.CI !== undefined) {
+    for (var i = 0; i < ciVendors.length; ++i) {
+      if (env[ciVendors[i]] !== undefined) {
+        return BASIC;
+      }
+    }
+    return NONE;
+  }
+  if (stream && !stream.isTTY) {
+    return NONE;
+  }
+  return terminalLevel();
+}
+
+/**
+ * Converts an RGB color to the nearest color of the xterm 256-color palette.
+ * @param {number} r The red component, from 0 to 255.
+ * @param {number} g The green component, from 0 to 255.
+ * @param {number} b The blue component, from 0 to 255.
+ * @returns {number} The palette index.
+ */
+function rgbToAnsi256(r, g, b) {
+  if (r === g && g === b) {
+    if (r < 8) {
+      return 16;
+    }
+    if (r > 248) {
+      return 231;
+    }
+    return Math.round((r - 8) / 247 * 24) + 232;
+  }
+  return 16 + 36 * Math.round(r / 255 * 5) + 6 * Math.round(g / 255 * 5) +
+    Math.round(b / 255 * 5);
+}
+
+/**
+ * Converts an RGB color to the nearest basic ANSI foreground color.
+ * @param {number} r The red component, from 0 to 255.
+ * @param {number} g The green component, from 0 to 255.
+ * @param {number} b The blue component, from 0 to 255.
+ * @returns {number} The foreground code, from 30 to 37 or from 90 to 97.
+ */
+function rgbToAnsi16(r, g, b) {
+  var value = Math.round(Math.max(r, g, b) / 255 * 2);
+  if (value === 0) {
+    return 30;
+  }
+  var code = 30 + (Math.round(b / 255) << 2 | Math.round(g / 255) << 1 |
+    Math.round(r / 255));
+  return value === 2 ? code + 60 : code;
+}
+
+/**
+ * Converts a hexadecimal color to the codes of the best color a level can display.
+ * @param {string} hex The color, as 6 hexadecimal digits.
+ * @param {boolean} background Whether it is a background color.
+ * @param {number} level The color level.
+ * @returns {string} The codes, separated by semicolons.
+ */
+function hexCodes(hex, background, level) {
+  var rgb = parseInt(hex, 16);
+  var r = rgb >> 16 & 255;
+  var g = rgb >> 8 & 255;
+  var b = rgb & 255;
+  if (level >= TRUECOLOR) {
+    return (background ? '48;2;' : '38;2;') + r + ';' + g + ';' + b;
+  }
+  if (level >= ANSI256) {
+    return (background ? '48;5;' : '38;5;') + rgbToAnsi256(r, g, b);
+  }
+  return String(rgbToAnsi16(r, g, b) + (background ? 10 : 0));
+}
+
+/**
+ * Converts a style description to ANSI escape codes.
+ * @param {string} spec The description: words separated by spaces. Each word is a
+ * modifier (`bold`, `dim`, `italic`, `underline` or `inverse`), a named color (`red`,
+ * `redBright`, `gray`...), or a hexadecimal color (`#ff8800`). Colors prefixed with `bg`
+ * (`bgRed`, `bg#303030`) are background colors.
+ * @param {number} level The color level of the stream. See `detect()`. Hexadecimal
+ * colors are downsampled to the level.
+ * @returns {string[]} The open and close escape sequences, or `null` if the level is
+ * `NONE` or the description is empty.
+ * @throws {TypeError} If a word is not valid.
+ * @example
+ * style('bold yellow bgBlue', detect(process.stderr));
+ */
+function style(spec, level) {
+  var words = spec ? String(spec).split(/\s+/) : [];
+  var open = [];
+  var close = [];
+  for (var i = 0; i < words.length; ++i) {
+    var word = words[i];
+    var background = /^bg./.test(word);
+    var name = background ? word.charAt(2).toLowerCase() + word.slice(3) : word;
+    var hex = /^#([0-9a-f]{6})$/i.exec(name);
+    if (word === '') {
+      continue;
+    } else if (!background && modifiers[word]) {
+      open.push(modifiers[word][0]);
+      close.push(modifiers[word][1]);
+    } else if (colors[name]) {
+      open.push(colors[name] + (background ? 10 : 0));
+      close.push(background ? 49 : 39);
+    } else if (hex) {
+      open.push(hexCodes(hex[1], background, level));
+      close.push(background ? 49 : 39);
+    } else {
+      throw new TypeError('Invalid style: ' + word);
+    }
+  }
+  if (level === NONE || open.length === 0) {
+    return null;
+  }
+  close = close.filter(function(code, index) {
+    return close.indexOf(code) === index;
+  });
+  return ['\x1b[' + open.join(';') + 'm', '\x1b[' + close.join(';') + 'm'];
+}
+
+/**
+ * Creates a theme: a set of styles indexed by name.
+ * @constructor
+ * @param {object} specs The style descriptions, indexed by name. See `style()`. A
+ * `null` or empty description means no style.
+ * @param {number} level The color level of the stream. See `detect()`.
+ */
+function Theme(specs, level) {
+  /** Color level of the stream. */
+  this.level = level;
+  /** Open and close escape sequences, indexed by name. */
+  this.styles = {};
+  for (var name in specs) {
+    if (Object.prototype.hasOwnProperty.call(specs, name)) {
+      this.styles[name] = style(specs[name], level);
+    }
+  }
+}
+
+/**
+ * Styles a text.
+ * @param {string} name The style name.
+ * @param {string} text The text.
+ * @returns {string} The text between the escape sequences of the style, or the text
+ * itself if it is empty or the theme has no such style.
+ */
+Theme.prototype.paint = function(name, text) {
+  var codes = this.styles[name];
+  return codes && text !== '' ? codes[0] + text + codes[1] : text;
+};
+
+exports.NONE = NONE;
+exports.BASIC = BASIC;
+exports.ANSI256 = ANSI256;
+exports.TRUECOLOR = TRUECOLOR;
+exports.detect = detect;
+exports.style = style;
+exports.Theme = Theme;
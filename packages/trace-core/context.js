@@ -0,0 +1,139 @@
+/**
+ * @file Stores data that follows an asynchronous call chain.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module creates a store whose value is propagated through `await`,
+ * timers, callbacks and every other asynchronous resource created while it is active.
+ * It uses `AsyncLocalStorage` when available. Otherwise, it falls back to a minimal
+ * implementation based on `async_hooks.createHook()`.
+ * @module trace-core/context
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * The `async_hooks` module provides an API to track asynchronous resources.
+ * @requires async_hooks
+ * https://nodejs.org/api/async_hooks.html
+ */
+var asyncHooks = require('async_hooks');
+
+/**
+ * Creates a store based on `AsyncLocalStorage`.
+ * @constructor
+ */
+function NativeStorage() {
+  this.als = new asyncHooks.AsyncLocalStorage();
+}
+
+/**
+ * Gets the current store value.
+ * @returns {any} The value set by the innermost active `run()`, or `undefined`.
+ */
+NativeStorage.prototype.getStore = function() {
+  return this.als.getStore();
+};
+
+/**
+ * Runs a function with a store value. The value is propagated to all asynchronous
+ * resources created by the function.
+ * @param {any} store The store value.
+ * @param {function} fn The function to be run.
+ * @returns {any} The value returned by `fn`.
+ */
+NativeStorage.prototype.run = function(store, fn) {
+  return this.als.run(store, fn);
+};
+
+/**
+ * Creates a store based on `async_hooks.createHook()`, for Node.js versions that do
+ * not have `AsyncLocalStorage`.
+ * @constructor
+ */
+function HookStorage() {
+  var self = this;
+  /** Current store value. */
+  this.current = undefined;
+  /** Store values of the asynchronous resources, indexed by async id. */
+  this.resources = {};
+  /** Store values saved by `before()`, restored by `after()`. */
+  this.saved = [];
+  this.hook = asyncHooks.createHook({
+    init: function(asyncId) {
+      if (self.current !== undefined) {
+        self.resources[asyncId] = self.current;
+      }
+    },
+    before: function(asyncId) {
+      self.saved.push(self.current);
+      self.current = self.resources[asyncId];
+    },
+    after: function() {
+      self.current = self.saved.pop();
+    },
+    destroy: function(asyncId) {
+      delete self.resources[asyncId];
+    },
+    promiseResolve: function(asyncId) {
+      delete self.resources[asyncId];
+    }
+  });
+  this.hook.enable();
+}
+
+/**
+ * Gets the current store value.
+ * @returns {any} The value set by the innermost active `run()`, or `undefined`.
+ */
+HookStorage.prototype.getStore = function() {
+  return this.current;
+};
+
+/**
+ * Runs a function with a store value. The value is propagated to all asynchronous
+ * resources created by the function.
+ * @param {any} store The store value.
+ * @param {function} fn The function to be run.
+ * @returns {any} The value returned by `fn`.
+ */
+HookStorage.prototype.run = function(store, fn) {
+  var saved = this.current;
+  this.current = store;
+  try {
+    return fn();
+  } finally {
+    this.current = saved;
+  }
+};
+
+/**
+ * The shared store, created on first use.
+ */
+var storage = null;
+
+/**
+ * Gets the shared store, creating it on first use. Async hooks are only enabled when
+ * the store is needed, so programs that never start a new chain do not pay for them.
+ * @returns {NativeStorage|HookStorage} The shared store.
+ */
+exports.getStorage = function() {
+  if (storage === null) {
+    storage = asyncHooks.AsyncLocalStorage ? new NativeStorage() : new HookStorage();
+  }
+  return storage;
+};
+
+/**
+ * Gets the current value of the shared store, without creating it.
+ * @returns {any} The current store value, or `undefined`.
+ */
+exports.getStore = function() {
+  return storage === null ? undefined : storage.getStore();
+};
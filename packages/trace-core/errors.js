@@ -0,0 +1,175 @@
+/**
+ * @file Renders errors with their cause chain, aggregated errors and trimmed stack.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module renders the errors passed to `warn()`, `error()` and
+ * `fatal()`. The stack keeps only the frames of the application: the frames of Node.js
+ * internals and of this package are removed. The errors in the `cause` chain follow,
+ * each one after a `Caused by:` line, and the errors of an `AggregateError` are listed
+ * below it, numbered and indented.
+ * @module trace-core/errors
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * The `path` module provides utilities for working with file and directory paths.
+ * @requires path
+ * https://nodejs.org/api/path.html
+ */
+var path = require('path');
+
+/**
+ * Formats the arguments of trace messages with configurable inspect options.
+ * @requires trace-core/inspect
+ */
+var inspect = require('./inspect');
+
+/**
+ * Directory of this package. Stack frames in its files are removed.
+ */
+var packageDir = __dirname + path.sep;
+
+/**
+ * Properties of an error that are rendered apart, not among its extra properties.
+ */
+var ownKeys = ['name', 'message', 'stack', 'cause', 'errors'];
+
+/**
+ * Inspect options of the extra properties of an error: one object in a single line.
+ */
+var inspectDefaults = { depth: 1, breakLength: Infinity };
+
+/**
+ * Checks if a stack frame belongs to Node.js internals or to this package.
+ * @param {string} line The stack frame, e.g. `    at main (/app/index.js:10:5)`.
+ * @returns {boolean} `true` if the frame is to be removed.
+ */
+function isHidden(line) {
+  var match = /\(([^()]*)\)$/.exec(line) || /^\s*at (?:async )?(.*)$/.exec(line);
+  var location = match ? match[1] : '';
+  if (/^(node:|internal[\\/])/.test(location) || location.indexOf(packageDir) === 0) {
+    return true;
+  }
+  // Core modules of older Node.js versions have no directory, e.g. `events.js:1:1`.
+  return !/[\\/]/.test(location) && location !== '<anonymous>' && location !== 'native';
+}
+
+/**
+ * Gets the header and the application frames of the stack of an error.
+ * @param {Error} error The error.
+ * @returns {string[]} The header (the name and message of the error) followed by the
+ * frames not removed by `isHidden()`.
+ */
+function trimStack(error) {
+  var lines = typeof error.stack === 'string' ? error.stack.split('\n') : [];
+  var count = 0;
+  while (count < lines.length && !/^\s+at /.test(lines[count])) {
+    ++count;
+  }
+  var result = [count > 0 ? lines.slice(0, count).join('\n') :
+    error.name + ': ' + error.message];
+  for (var i = count; i < lines.length; ++i) {
+    if (!isHidden(lines[i])) {
+      result.push(lines[i]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Gets the extra properties of an error, like `code` or `errno`.
+ * @param {Error} error The error.
+ * @returns {object} The own enumerable properties of the error, except the ones rendered
+ * apart, or `null` if there are none.
+ */
+function extraProperties(error) {
+  var props = null;
+  var keys = Object.keys(error);
+  for (var i = 0; i < keys.length; ++i) {
+    if (ownKeys.indexOf(keys[i]) === -1) {
+      props = props || {};
+      props[keys[i]] = error[keys[i]];
+    }
+  }
+  return props;
+}
+
+/**
+ * Indents all lines of a text but the first one.
+ * @param {string} text The text.
+ * @param {string} indentation The indentation.
+ * @returns {string} The indented text.
+ */
+function indentRest(text, indentation) {
+  return text.replace(/\n/g, '\n' + indentation);
+}
+
+/**
+ * Renders an error, or any other value thrown.
+ * @param {any} error The error.
+ * @param {Inspector} inspector The inspector of the tracer, for the values that are not
+ * errors and for the extra properties of the errors.
+ * @param {Error[]} [seen] The errors being rendered, to stop at cycles.
+ * @returns {string} The rendered error: the header with the extra properties, if any,
+ * the application frames of the stack, the aggregated errors and the cause chain.
+ */
+function render(error, inspector, seen) {
+  if (!(error instanceof Error)) {
+    return inspector.inspect(error, inspectDefaults);
+  }
+  seen = seen || [];
+  if (seen.indexOf(error) !== -1) {
+    return '[Circular ' + error.name + ': ' + error.message + ']';
+  }
+  seen.push(error);
+  var lines = trimStack(error);
+  var props = extraProperties(error);
+  if (props) {
+    lines[0] += ' ' + inspector.inspect(props, inspectDefaults);
+  }
+  if (Array.isArray(error.errors)) {
+    for (var i = 0; i < error.errors.length; ++i) {
+      var prefix = '  [' + i + '] ';
+      lines.push(prefix + indentRest(render(error.errors[i], inspector, seen),
+        new Array(prefix.length + 1).join(' ')));
+    }
+  }
+  if (error.cause !== undefined) {
+    lines.push('Caused by: ' + render(error.cause, inspector, seen));
+  }
+  seen.pop();
+  return lines.join('\n');
+}
+
+/**
+ * Replaces the errors among the arguments of a message by their rendered text. Errors
+ * matched by a custom formatter of the tracer are left to it.
+ * @param {arguments} args The arguments of the message.
+ * @param {Inspector} inspector The inspector of the tracer.
+ * @returns {any[]} The arguments to be formatted, or `args` itself if there is no error
+ * among them.
+ */
+function prepare(args, inspector) {
+  var result = args;
+  for (var i = 0; i < args.length; ++i) {
+    var arg = args[i];
+    if (arg instanceof Error && !inspector.formatter(arg)) {
+      if (result === args) {
+        result = Array.prototype.slice.call(args);
+      }
+      result[i] = new inspect.Rendered(render(arg, inspector));
+    }
+  }
+  return result;
+}
+
+exports.render = render;
+exports.prepare = prepare;
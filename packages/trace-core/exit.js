@@ -0,0 +1,256 @@
+/**
+ * @file Shows the message queue of tracers when the process ends.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module keeps the tracers whose message queue is shown when the
+ * process ends. A tracer is shown either on every exit or only when the process fails:
+ * on a non-zero exit code, an uncaught exception, an unhandled rejection or a fatal
+ * signal. Fatal signals kill the process without emitting `exit`, so they are caught,
+ * the tracers are shown, and the signal is raised again to terminate the process as it
+ * normally would. Tracers can also report crashes: on an uncaught exception or an
+ * unhandled rejection, they enqueue the error with their open frames and are shown at
+ * once.
+ * @module trace-core/exit
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * The `util` module is primarily designed to support the needs of Node.js' own internal
+ * APIs. However, many of the utilities are useful for application and module developers
+ * as well.
+ * @requires util
+ * https://nodejs.org/api/util.html
+ */
+var util = require('util');
+
+/**
+ * Signals that terminate the process by default and that can be caught.
+ */
+var signals = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+/**
+ * Registered tracers, each with a flag telling if it is shown only on failure.
+ */
+var entries = [];
+
+/**
+ * Whether the process failed, even if it ends with a zero exit code, e.g. because an
+ * `uncaughtException` handler swallowed the error.
+ */
+var failed = false;
+
+/**
+ * Whether the failure handlers are installed.
+ */
+var failureHandlers = false;
+
+/**
+ * Whether the handler of unhandled rejections that do not crash the process is
+ * installed.
+ */
+var rejectionHandler = false;
+
+/**
+ * Tracers that report crashes.
+ */
+var crashEntries = [];
+
+/**
+ * Tracers already shown when the process failed, with their open frames: by a crash
+ * report, or by a fatal signal that the application handles and then exits.
+ */
+var shown = [];
+
+/**
+ * Marks a tracer as shown when the process failed.
+ * @param {Tracer} tracer The tracer.
+ */
+function markShown(tracer) {
+  if (shown.indexOf(tracer) === -1) {
+    shown.push(tracer);
+  }
+}
+
+/**
+ * Shows the message queue of the registered tracers, after reporting their open frames.
+ * The tracers already shown when the process failed do not report them again, and show
+ * only what was enqueued after it, if anything, so nothing is printed twice.
+ * @param {boolean} failure Whether the process failed. If not, the tracers that are shown
+ * only on failure are skipped.
+ */
+function showAll(failure) {
+  for (var i = 0; i < entries.length; ++i) {
+    var tracer = entries[i].tracer;
+    if (!failure && entries[i].failureOnly) {
+      continue;
+    }
+    if (shown.indexOf(tracer) === -1) {
+      tracer.reportOpenFrames();
+      tracer.show();
+    } else if (tracer.ctx.count > 0 || tracer.ctx.dropped > 0) {
+      tracer.show();
+    }
+  }
+}
+
+/**
+ * Handles the `exit` event.
+ * @param {number} code The exit code.
+ */
+function onExit(code) {
+  showAll(failed || code !== 0);
+}
+
+/**
+ * Handles an uncaught exception or an unhandled rejection raised as one. This is a
+ * monitor: it does not change how the process handles the error.
+ */
+function onUncaught() {
+  failed = true;
+}
+
+/**
+ * Handles an uncaught exception or an unhandled rejection, for the tracers that report
+ * crashes. Each one enqueues the report and is shown. This is a monitor too: after it,
+ * the process handles the error as it would without it.
+ * @param {any} error The error.
+ * @param {string} origin `uncaughtException` or `unhandledRejection`.
+ */
+function onCrash(error, origin) {
+  failed = true;
+  for (var i = 0; i < crashEntries.length; ++i) {
+    crashEntries[i].reportCrash(error, origin);
+    crashEntries[i].show();
+    markShown(crashEntries[i]);
+  }
+}
+
+/**
+ * Gets the mode of unhandled rejections set by the `--unhandled-rejections` option of
+ * Node.js, on the command line or in `NODE_OPTIONS`.
+ * @returns {string} The mode, or `null` if it is not set.
+ */
+function rejectionMode() {
+  var args = (process.env.NODE_OPTIONS || '').split(/\s+/).concat(process.execArgv);
+  var mode = null;
+  for (var i = 0; i < args.length; ++i) {
+    var match = /^--unhandled-rejections(?:=(.*))?$/.exec(args[i]);
+    if (match) {
+      mode = match[1] !== undefined ? match[1] : args[i + 1] || null;
+    }
+  }
+  return mode;
+}
+
+/**
+ * Checks if unhandled rejections are only warned about: they do not crash the process
+ * nor change its exit code. This is the default before Node.js 15, and the `warn` and
+ * `none` modes after. In those, an `unhandledRejection` listener is the only way to
+ * detect them.
+ * @returns {boolean} `true` if unhandled rejections do not end the process.
+ */
+function rejectionsIgnored() {
+  var mode = rejectionMode();
+  if (mode === null) {
+    return parseInt(process.versions.node, 10) < 15;
+  }
+  return mode === 'warn' || mode === 'none';
+}
+
+/**
+ * Handles an unhandled rejection that does not crash the process: it is reported like a
+ * crash. Adding this listener silences the warning that Node.js prints by default before
+ * version 15, so it prints the warning instead, unless other listeners handle the
+ * rejection.
+ * @param {any} reason The rejection reason.
+ */
+function onRejection(reason) {
+  onCrash(reason, 'unhandledRejection');
+  if (rejectionMode() === null && process.listenerCount('unhandledRejection') === 1) {
+    process.emitWarning(util.inspect(reason), 'UnhandledPromiseRejectionWarning');
+  }
+}
+
+/**
+ * Installs the handler of unhandled rejections that do not crash the process, if they
+ * do not in this process.
+ */
+function installRejectionHandler() {
+  if (!rejectionHandler && rejectionsIgnored()) {
+    rejectionHandler = true;
+    process.on('unhandledRejection', onRejection);
+  }
+}
+
+/**
+ * Handles a fatal signal. The tracers are shown and, if no other listener handles the
+ * signal, it is raised again to terminate the process with the default behavior. If
+ * another listener handles it, e.g. to exit after cleaning up, the tracers are marked as
+ * shown, so the `exit` event shows only what was enqueued since.
+ * @param {string} signal The signal name.
+ */
+function onSignal(signal) {
+  failed = true;
+  showAll(true);
+  for (var i = 0; i < entries.length; ++i) {
+    markShown(entries[i].tracer);
+  }
+  if (process.listenerCount(signal) === 1) {
+    process.removeListener(signal, onSignal);
+    process.kill(process.pid, signal);
+  }
+}
+
+/**
+ * Installs the handlers that detect failures not reported by the exit code.
+ * `uncaughtExceptionMonitor` is not available in older Node.js versions. In those, the
+ * non-zero exit code of the crash is enough. Unhandled rejections that do not crash the
+ * process are detected too.
+ */
+function installFailureHandlers() {
+  if (!failureHandlers) {
+    failureHandlers = true;
+    process.on('uncaughtExceptionMonitor', onUncaught);
+    installRejectionHandler();
+    for (var i = 0; i < signals.length; ++i) {
+      process.on(signals[i], onSignal);
+    }
+  }
+}
+
+/**
+ * Registers a tracer to be shown when the process ends.
+ * @param {Tracer} tracer The tracer.
+ * @param {boolean} failureOnly Whether the tracer is shown only when the process fails.
+ */
+exports.register = function(tracer, failureOnly) {
+  if (entries.length === 0) {
+    process.on('exit', onExit);
+  }
+  if (failureOnly) {
+    installFailureHandlers();
+  }
+  entries.push({ tracer: tracer, failureOnly: failureOnly });
+};
+
+/**
+ * Registers a tracer to report crashes, including unhandled rejections that do not crash
+ * the process. `uncaughtExceptionMonitor` is not available in older Node.js versions. In
+ * those, uncaught exceptions are not reported.
+ * @param {Tracer} tracer The tracer.
+ */
+exports.registerCrash = function(tracer) {
+  if (crashEntries.length === 0) {
+    process.on('uncaughtExceptionMonitor', onCrash);
+    installRejectionHandler();
+  }
+  crashEntries.push(tracer);
+};
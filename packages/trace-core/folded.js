@@ -0,0 +1,76 @@
+/**
+ * @file Renders the frames of a tracer as folded stacks for flame graphs.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module renders the frames opened by `enter()` and closed by
+ * `leave()` in the collapsed stack format of Brendan Gregg's FlameGraph tools: one line
+ * per call path, with the frame names separated by semicolons and followed by a weight,
+ * e.g. `main;factorial;factorial 1234`.
+ * @module trace-core/folded
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Messages enqueued in the message queue of a tracer.
+ * @requires trace-core/message
+ */
+var Message = require('./message');
+
+/**
+ * Renders the frames of a flushed queue as folded stacks.
+ * @param {object} batch The flushed queue. See `text.render()` for details.
+ * @returns {object[]} The lines to be printed, each one with `type` and `text`.
+ * @description Each call path is rendered once, sorted by path, weighted by the sum of
+ * the self time of its frames, in microseconds, or by the number of calls if the frames
+ * were not timed. Messages other than `enter` and `leave` are ignored, as are the frames
+ * not closed yet and the `leave` messages whose `enter` message was dropped. Each async
+ * chain, in each thread, has its own stack, starting at the frames it opened.
+ */
+exports.render = function(batch) {
+  var stacks = {};
+  var weights = {};
+  var paths = [];
+  var messages = batch.messages;
+  for (var i = 0; i < messages.length; ++i) {
+    var message = messages[i];
+    var track = message.track();
+    var stack = stacks[track] || (stacks[track] = []);
+    if (message.kind === 'enter') {
+      var parent = stack.length > 0 ? stack[stack.length - 1].path + ';' : '';
+      stack.push({ path: parent + message.name.replace(/[;\s]/g, '_'), childTime: 0 });
+    } else if (message.kind === 'leave' && stack.length > 0) {
+      var frame = stack.pop();
+      var weight = 1;
+      if (message.elapsed !== null) {
+        weight = Math.round(Math.max(message.elapsed - frame.childTime, 0) * 1e3);
+        if (stack.length > 0) {
+          stack[stack.length - 1].childTime += message.elapsed;
+        }
+      }
+      if (weights[frame.path] === undefined) {
+        weights[frame.path] = 0;
+        paths.push(frame.path);
+      }
+      weights[frame.path] += weight;
+    }
+  }
+  paths.sort();
+  var lines = [];
+  for (var j = 0; j < paths.length; ++j) {
+    if (weights[paths[j]] > 0) {
+      lines.push({
+        type: Message.prototype.LOG,
+        text: paths[j] + ' ' + weights[paths[j]]
+      });
+    }
+  }
+  return lines;
+};
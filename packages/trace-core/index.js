@@ -0,0 +1,1523 @@
+/**
+ * @file Creates independent tracers that print trace messages using lazy write.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module creates tracers to format and send trace messages to an
+ * output target. Each tracer has its own message queue, indentation settings and saved
+ * names for `enter()` and `leave()`. Messages do not print immediately. Instead, on each
+ * call, they are inserted into the queue of the tracer, which is automatically flushed
+ * when the process ends. The trace-log, trace-console and trace-color packages are
+ * presets over this module.
+ * @module trace-core
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Stores data that follows an asynchronous call chain.
+ * @requires trace-core/context
+ */
+var context = require('./context');
+
+/**
+ * Collects timing statistics of the frames opened by `enter()`.
+ * @requires trace-core/profile
+ */
+var profile = require('./profile');
+
+/**
+ * Output targets for tracers: files, streams and custom writers.
+ * @requires trace-core/sinks
+ */
+var sinks = require('./sinks');
+
+/**
+ * Shows the message queue of tracers when the process ends.
+ * @requires trace-core/exit
+ */
+var exit = require('./exit');
+
+/**
+ * Messages enqueued in the message queue of a tracer.
+ * @requires trace-core/message
+ */
+var Message = require('./message');
+
+/**
+ * Severity levels of trace messages.
+ * @requires trace-core/levels
+ */
+var levels = require('./levels');
+
+/**
+ * Enables and disables tracer namespaces with wildcard patterns.
+ * @requires trace-core/namespaces
+ */
+var namespaces = require('./namespaces');
+
+/**
+ * Renders the message queue of a tracer as indented text.
+ * @requires trace-core/text
+ */
+var text = require('./text');
+
+/**
+ * Renders the message queue of a tracer as a tree with box-drawing guides.
+ * @requires trace-core/tree
+ */
+var tree = require('./tree');
+
+/**
+ * Renders the message queue of a tracer as JSON Lines.
+ * @requires trace-core/jsonl
+ */
+var jsonl = require('./jsonl');
+
+/**
+ * Renders the message queue of a tracer in the Chrome Trace Event format.
+ * @requires trace-core/chrome
+ */
+var chrome = require('./chrome');
+
+/**
+ * Renders the frames of a tracer as folded stacks for flame graphs.
+ * @requires trace-core/folded
+ */
+var folded = require('./folded');
+
+/**
+ * Collapses repeated sibling subtrees of the message queue of a tracer.
+ * @requires trace-core/collapse
+ */
+var collapse = require('./collapse');
+
+/**
+ * Samples the frames of a tracer by name.
+ * @requires trace-core/sampling
+ */
+var sampling = require('./sampling');
+
+/**
+ * Formats the arguments of trace messages with configurable inspect options.
+ * @requires trace-core/inspect
+ */
+var inspect = require('./inspect');
+
+/**
+ * Renders errors with their cause chain, aggregated errors and trimmed stack.
+ * @requires trace-core/errors
+ */
+var errors = require('./errors');
+
+/**
+ * Masks sensitive values before trace messages are formatted.
+ * @requires trace-core/redact
+ */
+var redact = require('./redact');
+
+/**
+ * Forwards the messages of worker threads to the tracer of the main thread.
+ * @requires trace-core/threads
+ */
+var threads = require('./threads');
+
+/**
+ * Instruments functions, objects and classes with `enter()` and `leave()`.
+ * @requires trace-core/wrap
+ */
+var wrap = require('./wrap');
+
+/**
+ * Renderers of the message queue, indexed by format name. Each one takes the flushed
+ * queue and returns the lines to be printed. See `text.render()` for details.
+ */
+var renderers = {
+  text: text.render,
+  tree: tree.render,
+  jsonl: jsonl.render,
+  chrome: chrome.render,
+  folded: folded.render
+};
+
+/**
+ * Formats that keep a record of every message, so `collapse` does not apply to them.
+ */
+var recordFormats = ['jsonl', 'chrome', 'folded'];
+
+/**
+ * Copies the own enumerable properties of the source objects to a target object.
+ * @param {object} target The target object.
+ * @param {...object} sources The source objects. Null or undefined sources are skipped.
+ * @returns {object} The target object.
+ */
+function extend(target) {
+  for (var i = 1; i < arguments.length; ++i) {
+    var source = arguments[i];
+    if (source) {
+      for (var key in source) {
+        if (Object.prototype.hasOwnProperty.call(source, key)) {
+          target[key] = source[key];
+        }
+      }
+    }
+  }
+  return target;
+}
+
+/**
+ * Creates a frame, opened by `enter()` and closed by `leave()`.
+ * @constructor
+ * @param {string} name The name saved to be printed by `leave()`, or `null` if the frame
+ * is below the level threshold.
+ * @param {boolean} timing Whether the start time is recorded.
+ */
+function Frame(name, timing) {
+  /** Frame name. */
+  this.name = name;
+  /** Whether `enter()` enqueued a message and increased the indentation. */
+  this.visible = name !== null;
+  /** Formatted message of `enter()`, with the arguments, or `null` if not visible. */
+  this.text = null;
+  /** High-resolution start time, as returned by `process.hrtime()`. */
+  this.start = timing ? process.hrtime() : null;
+  /** Time spent in the child frames, in milliseconds. */
+  this.childTime = 0;
+  /** Whether the frame, and everything inside it, is not recorded. */
+  this.muted = false;
+  /** Number of frames not recorded inside this frame, by depth or sampling. */
+  this.hidden = 0;
+}
+
+/**
+ * Creates an async chain: the indentation and open frames of a logical call tree.
+ * @constructor
+ * @param {number} id The chain id, unique in its tracer.
+ * @param {Chain} [parent] The chain that started this chain. The new chain starts with a
+ * copy of its indentation and open frames.
+ */
+function Chain(id, parent) {
+  /** Chain id. */
+  this.id = id;
+  /** Indent level. */
+  this.indentLevel = parent ? parent.indentLevel : 0;
+  /** Frames opened by `enter()` and not yet closed by `leave()`. */
+  this.frames = parent ? parent.frames.slice() : [];
+  /** Number of frames inherited from the parent chain. */
+  this.base = this.frames.length;
+  /** Number of open frames that are muted by `maxDepth` or sampling. */
+  this.muted = parent ? parent.muted : 0;
+}
+
+/**
+ * Gets the path of the open frames of a chain.
+ * @param {Chain} chain The chain.
+ * @returns {string} The names of the recorded frames, outermost first, separated by
+ * ` > `, e.g. `main > factorial > factorial`, or an empty string if there are none.
+ */
+function framePath(chain) {
+  var names = [];
+  for (var i = 0; i < chain.frames.length; ++i) {
+    if (chain.frames[i].visible) {
+      names.push(chain.frames[i].name);
+    }
+  }
+  return names.join(' > ');
+}
+
+/**
+ * Gets the name of a frame from the arguments of `enter()`, without formatting them: the
+ * first word of the format string, if it comes before the first format specifier.
+ * @param {arguments} args The arguments of `enter()`.
+ * @param {Redactor} redactor The redactor of the tracer, or `null`.
+ * @returns {string} The name, or `null` if it is known only after formatting.
+ */
+function frameName(args, redactor) {
+  if (typeof args[0] !== 'string') {
+    return null;
+  }
+  var head = args[0].split('%')[0];
+  var match = (redactor ? redactor.string(head) : head).match(/\w+/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Copies the arguments of a message through JSON, so the message does not hold live
+ * references to objects that may change before it is rendered.
+ * @param {arguments} args The arguments passed to `util.format()`.
+ * @returns {any[]} The copy, or `null` if the arguments cannot be serialized, e.g.
+ * circular structures or `BigInt` values.
+ */
+function copyArgs(args) {
+  try {
+    return JSON.parse(JSON.stringify(Array.prototype.slice.call(args)));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Checks if an option is given. Unlike a truthy test, zero, e.g. a numeric level, counts
+ * as given.
+ * @param {any} value The option value.
+ * @returns {boolean} `false` if the value is `undefined`, `null` or an empty string.
+ */
+function given(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Names of the environment variables already reported as invalid.
+ */
+var invalidVariables = {};
+
+/**
+ * Parses an option whose default is read from an environment variable. An invalid option
+ * throws, but an invalid variable only emits a warning, once per variable, and is
+ * ignored: a typo in the environment must not prevent the application from loading.
+ * @param {function} parse Converts the option value. Throws if the value is not valid.
+ * @param {any} value The option value, or `undefined` if not given.
+ * @param {string} variable The name of the environment variable.
+ * @param {any} fallback The value converted if neither the option nor the variable is
+ * set, or if the variable is not valid.
+ * @returns {any} The converted value.
+ */
+function parseOption(parse, value, variable, fallback) {
+  if (value !== undefined) {
+    return parse(value);
+  }
+  var env = process.env[variable];
+  if (env) {
+    try {
+      return parse(env);
+    } catch (e) {
+      if (!invalidVariables[variable]) {
+        invalidVariables[variable] = true;
+        process.emitWarning(e.message + ' in ' + variable + ', ignored');
+      }
+    }
+  }
+  return parse(fallback);
+}
+
+/**
+ * Number of tracers created, used to give each tracer a unique key in the async store.
+ */
+var tracerCount = 0;
+
+/**
+ * Default output target. Each message is printed using the console function that
+ * matches its type.
+ */
+var consoleOutput = {
+  /** Prints an informational message to `stdout` with newline. */
+  log: function(text) {
+    console.log(text);
+  },
+  /** Prints a warning message to `stderr` with newline. */
+  warn: function(text) {
+    console.warn(text);
+  },
+  /** Prints an error message to `stderr` with newline. */
+  error: function(text) {
+    console.error(text);
+  }
+};
+
+/**
+ * Names of the tracer methods that are bound to the tracer instance, so they can be
+ * called as plain functions.
+ */
+var boundMethods = [
+  'trace', 'debug', 'info', 'log', 'warn', 'error', 'fatal', 'ignore', 'indent', 'group',
+  'unindent', 'groupEnd', 'enter', 'leave', 'enterAsync', 'fork', 'show', 'flush',
+  'snapshot', 'clear', 'onRecord', 'setLevel', 'getLevel', 'isLevelEnabled', 'namespace',
+  'enable', 'disable', 'wrap', 'wrapAll', 'wrapClass', 'createTracer'
+];
+
+/**
+ * Binds the public methods of the tracer prototype to an object.
+ * @param {Tracer} tracer The object, a tracer or one of its namespaces.
+ */
+function bindMethods(tracer) {
+  for (var i = 0; i < boundMethods.length; ++i) {
+    tracer[boundMethods[i]] = Tracer.prototype[boundMethods[i]].bind(tracer);
+  }
+}
+
+/**
+ * Creates a tracer with its own message queue.
+ * @constructor
+ * @param {object} [options] The tracer options.
+ * @param {number} [options.indentSize=2] Number of spaces in an indent.
+ * @param {string|function|object} [options.output] The output target: a file path, a
+ * function, a writable stream, file sink options or an object with `log()`, `warn()` and
+ * `error()` methods, each taking the text of one message. See `sinks.createSink()` for
+ * details. The default prints to the console.
+ * @param {boolean|string} [options.showOnExit=true] Whether the message queue is shown
+ * automatically when the process ends. Set to `failure` to show it only when the process
+ * fails: on a non-zero exit code, an uncaught exception, an unhandled rejection or a
+ * fatal signal (`SIGINT`, `SIGTERM` or `SIGHUP`).
+ * @param {boolean} [options.crashReport=false] Whether an uncaught exception, or an
+ * unhandled rejection raised as one, enqueues a `fatal` message with the error and the
+ * open frames of each async chain, with their `enter()` arguments and elapsed times, and
+ * shows the message queue at once. The default handling of the error, the exit code
+ * included, is not changed. See `reportCrash()`.
+ * @param {boolean} [options.timing=true] Whether `leave()` prints the time elapsed since
+ * the matching `enter()`.
+ * @param {boolean} [options.profile=false] Whether `show()` prints, after the messages,
+ * a table with timing statistics per frame name. Implies `timing`.
+ * @param {number} [options.maxMessages=0] Maximum number of messages kept in the queue.
+ * When exceeded, the oldest messages are dropped. Zero means no limit.
+ * @param {number} [options.maxBytes=0] Approximate maximum size of the texts kept in the
+ * queue, in characters. When exceeded, the oldest messages are dropped, but the newest
+ * message is always kept. Zero means no limit.
+ * @param {string|function} [options.format='text'] How `show()` renders the messages:
+ * `text` for indented text, `tree` for text with box-drawing guides, `jsonl` for JSON
+ * Lines, `chrome` for a Chrome Trace Event JSON document, `folded` for folded stacks, or
+ * a function with the same signature as `text.render()`, e.g. one returned by
+ * `createTreeRenderer()`.
+ * @param {boolean} [options.keepArgs] Whether messages keep the arguments passed to
+ * `util.format()`, so they can be rendered later. They are kept as a JSON copy made when
+ * the message is written, or not at all if they cannot be serialized. The default is
+ * `true` if `format` is `jsonl`.
+ * @param {string|number} [options.level] Level threshold: messages below it are
+ * discarded as soon as they are written. One of `trace`, `debug`, `info`, `warn`,
+ * `error`, `fatal` or `silent`. The default is the value of the `MINITRACE_LEVEL`
+ * environment variable, or `trace`. An invalid variable is ignored, with a warning.
+ * @param {string|number} [options.frameLevel='info'] Level of the messages written by
+ * `enter()` and `leave()`.
+ * @param {string} [options.namespaces] Patterns of the namespaces enabled, e.g.
+ * `db:*,-db:pool,http`. See `namespace()`. The default is the value of the `MINITRACE`
+ * environment variable. If empty, every namespace is enabled.
+ * @param {number} [options.maxDepth=0] Maximum number of nested frames recorded. Deeper
+ * frames, and the messages below `warn` inside them, are not recorded, but are counted
+ * on the `leave()` line of the deepest recorded frame, e.g. `(+120 frames not shown)`.
+ * Zero means no limit.
+ * @param {object} [options.sample] Sampling rules, indexed by frame name: a number N to
+ * record one in every N calls, or a string like `100/s` to record at most 100 calls per
+ * second. The rule named `*` applies to every other name. Frames not sampled are muted,
+ * and counted, like frames deeper than `maxDepth`.
+ * @param {boolean|object} [options.collapse=false] Whether `show()` collapses runs of
+ * repeated sibling subtrees, identical or differing only in numbers, into the first one
+ * annotated with `(×N)`. An object sets the options `minCount`, `ignoreNumbers` and
+ * `keepEnds`. See `collapse.collapse()`. The queue itself is not changed. It applies to
+ * the `text` and `tree` formats, and to renderer functions, e.g. one returned by
+ * `createTreeRenderer()`, but not to `jsonl`, `chrome` and `folded`, which keep every
+ * record.
+ * @param {object} [options.inspect] Options passed to `util.inspect()` to render objects,
+ * e.g. `depth`, `maxArrayLength`, `maxStringLength`, `compact` and `breakLength`.
+ * @param {string} [options.objectFormat='O'] How objects not consumed by a format
+ * specifier are rendered: `O`, like `%O`, or `o`, like `%o`.
+ * @param {object[]} [options.formatters] Custom formatters per type, e.g.
+ * `{ type: Buffer, format: function(buffer) { ... } }`. See `inspect.Inspector`.
+ * @param {number} [options.maxLength=0] Maximum length of a formatted message. Longer
+ * messages are truncated, with a marker like `... [+1234 chars]`. Zero means no limit.
+ * @param {boolean|object} [options.redact=false] Whether sensitive values are masked
+ * before messages are formatted: the values of keys like `password` or `token`, at any
+ * depth, and card numbers and tokens in strings. An object sets the options `keys`,
+ * `values`, `redactor` and `mask`. See `redact.Redactor` for details.
+ * @param {boolean|string} [options.threads=false] Whether the traces of the worker
+ * threads are merged into the trace of the main thread. The default is the value of the
+ * `MINITRACE_THREADS` environment variable. In a worker thread, each message is posted to
+ * the tracer of the same `name` in the main thread as soon as it is written, instead of
+ * being enqueued, once that tracer answers. In the main thread, the messages received
+ * are enqueued, tagged with the thread id, and shown ordered by time (`true` or `time`)
+ * or grouped by thread (`thread`). Requires `BroadcastChannel` (Node.js 15.4). See
+ * `threads.connect()`.
+ * @param {string} [options.name='default'] The tracer name. Tracers merge the traces of
+ * worker threads only with tracers of the same name, and only one tracer of each name
+ * can merge them in the main thread.
+ * @param {object} [options.wrap] Default formatters of `wrap()`, `wrapAll()` and
+ * `wrapClass()`: `formatArgs`, `formatResult` and `formatError`. See `wrap()`.
+ * @description All public methods are bound to the new tracer, so they can be detached
+ * and called as plain functions.
+ */
+function Tracer(options) {
+  options = extend({}, options);
+  var indentSize = options.indentSize > 0 ? options.indentSize : 2;
+  var format = options.format || 'text';
+  if (typeof format !== 'function' && !renderers[format]) {
+    throw new TypeError('Invalid format: ' + format);
+  }
+  /** Options used to create the tracer. */
+  this.options = options;
+  /** Namespace of the tracer, or `null`. See `namespace()`. */
+  this.ns = null;
+  /**
+   * Private data of the tracer.
+   */
+  this.ctx = {
+    /** The tracer, without namespace. */
+    tracer: this,
+    /** Key of the tracer in the async store. */
+    key: 'tracer' + ++tracerCount,
+    /** Number of spaces in an indent. */
+    indentSize: indentSize,
+    /** Chain used outside of `fork()`. */
+    root: new Chain(0, null),
+    /** Id of the last chain created by `fork()`. */
+    lastChainId: 0,
+    /** Sequence number of the last message enqueued. */
+    lastSeq: 0,
+    /** Head of message queue. */
+    head: null,
+    /** Tail of message queue. */
+    tail: null,
+    /** Number of messages in the queue. */
+    count: 0,
+    /** Sum of the text lengths of the messages in the queue. */
+    bytes: 0,
+    /** Number of messages dropped from the queue since the last `show()`. */
+    dropped: 0,
+    /** Maximum number of messages in the queue, or zero. */
+    maxMessages: options.maxMessages > 0 ? options.maxMessages : 0,
+    /** Maximum sum of the text lengths of the messages in the queue, or zero. */
+    maxBytes: options.maxBytes > 0 ? options.maxBytes : 0,
+    /** Output target. */
+    output: options.output ? sinks.createSink(options.output) : consoleOutput,
+    /** Whether frames record their start time. */
+    timing: options.timing !== false || !!options.profile,
+    /** Timing statistics per frame name, or `null` if not enabled. */
+    profile: options.profile ? new profile.Profile() : null,
+    /** Renderer of the message queue. */
+    render: typeof format === 'function' ? format : renderers[format],
+    /** Whether messages keep the arguments passed to `util.format()`. */
+    keepArgs: options.keepArgs !== undefined ? !!options.keepArgs : format === 'jsonl',
+    /** Level threshold. */
+    level: parseOption(levels.parse, given(options.level) ? options.level : undefined,
+      'MINITRACE_LEVEL', 'trace'),
+    /** Level of the messages written by `enter()` and `leave()`. */
+    frameLevel: levels.parse(given(options.frameLevel) ? options.frameLevel : 'info'),
+    /** Filter of the enabled namespaces. */
+    filter: new namespaces.Filter(options.namespaces !== undefined ? options.namespaces :
+      process.env.MINITRACE),
+    /** Incremented when `filter` changes, to refresh the state cached by namespaces. */
+    filterVersion: 0,
+    /** Namespaces created by `namespace()`, indexed by name. */
+    namespaces: Object.create(null),
+    /** Chains with frames opened by themselves and not yet closed, indexed by id. */
+    chains: Object.create(null),
+    /** Functions called with the record of each message enqueued. See `onRecord()`. */
+    listeners: [],
+    /** Formatter of the message arguments. */
+    inspector: new inspect.Inspector(options),
+    /** Masks sensitive values of the messages, or `null` if not enabled. */
+    redactor: options.redact ? new redact.Redactor(typeof options.redact === 'object' ?
+      options.redact : null) : null,
+    /** Maximum number of nested frames recorded, or zero. */
+    maxDepth: options.maxDepth > 0 ? options.maxDepth : 0,
+    /** Sampler of the frames by name, or `null` if not enabled. */
+    sampler: options.sample ? new sampling.Sampler(options.sample) : null,
+    /** Options of the collapse of repeated subtrees, or `null` if not enabled. */
+    collapse: options.collapse && recordFormats.indexOf(format) === -1 ?
+      typeof options.collapse === 'object' ? options.collapse : {} : null,
+    /** Order of the messages merged from worker threads, or `null` if not enabled. */
+    threads: parseOption(threads.parse, options.threads, 'MINITRACE_THREADS', false),
+    /** Forwarder or receiver of the messages of worker threads, or `null`. */
+    link: null
+  };
+  if (this.ctx.threads) {
+    this.ctx.link = threads.connect(options.name !== undefined ? String(options.name) :
+      'default', this.receive.bind(this), this.forward.bind(this));
+  }
+  bindMethods(this);
+  if (options.showOnExit !== false) {
+    exit.register(this, options.showOnExit === 'failure');
+  }
+  if (options.crashReport) {
+    exit.registerCrash(this);
+  }
+}
+
+/**
+ * Gets the async chain of the caller.
+ * @returns {Chain} The chain started by the innermost active `fork()` of this tracer, or
+ * the root chain.
+ */
+Tracer.prototype.chain = function() {
+  var store = context.getStore();
+  return store && store[this.ctx.key] || this.ctx.root;
+};
+
+/**
+ * Creates a message with the formatted arguments. If redaction is enabled, the arguments
+ * are redacted before they are formatted, and the formatted text after. Errors passed to
+ * `warn()`, `error()` and `fatal()` are rendered by `errors.render()`. Then the text is
+ * truncated to the `maxLength` of the tracer. If the tracer keeps the arguments, they
+ * are copied through JSON now, so objects changed later are kept as they were.
+ * @param {number} type The message level: `TRACE`, `DEBUG`, `INFO` (or `LOG`), `WARN`,
+ * `ERROR` or `FATAL`, or any other level value.
+ * @param {string} kind The event that creates the message: `log`, `enter` or `leave`.
+ * @param {arguments} args The arguments to be passed to `util.format()`.
+ * @returns {Message} The new message, not yet enqueued.
+ */
+Tracer.prototype.format = function(type, kind, args) {
+  var ctx = this.ctx;
+  var redactor = ctx.redactor;
+  if (redactor) {
+    args = redactor.args(args);
+  }
+  var text = ctx.inspector.format(kind === 'log' && type >= Message.prototype.WARN ?
+    errors.prepare(args, ctx.inspector) : args);
+  if (redactor) {
+    text = redactor.string(text);
+  }
+  var message = new Message(type, kind, ctx.inspector.truncate(text));
+  if (ctx.keepArgs && args.length > 0) {
+    message.args = copyArgs(args);
+  }
+  return message;
+};
+
+/**
+ * Enqueues a message in the message queue, to be printed later. The message gets the
+ * next sequence number and the id and indent level of the caller's async chain.
+ * Messages written by `warn()`, `error()` and `fatal()` also get the path of the open
+ * frames. Messages below `warn` written inside muted frames are discarded. See `mute()`.
+ * In a worker thread that forwards its messages, the message is posted to the main
+ * thread instead.
+ * @param {Message} message The message to be enqueued.
+ * @param {Chain} [chain] The chain of the message. The default is the caller's chain.
+ */
+Tracer.prototype.write = function(message, chain) {
+  var ctx = this.ctx;
+  chain = chain || this.chain();
+  if (chain.muted > 0 && message.kind === 'log' &&
+    message.type < Message.prototype.WARN) {
+    return;
+  }
+  message.seq = ++ctx.lastSeq;
+  message.chain = chain.id;
+  message.depth = chain.indentLevel;
+  message.namespace = this.ns;
+  if (message.kind === 'log' && message.type >= Message.prototype.WARN) {
+    message.path = framePath(chain);
+  }
+  if (ctx.link && ctx.link.connected) {
+    ctx.link.send(message);
+  } else {
+    this.enqueue(message);
+  }
+};
+
+/**
+ * Posts to the main thread the messages enqueued in a worker thread before the main
+ * thread answered, and empties the queue.
+ */
+Tracer.prototype.forward = function() {
+  var messages = this.take().messages;
+  for (var i = 0; i < messages.length; ++i) {
+    this.ctx.link.send(messages[i]);
+  }
+};
+
+/**
+ * Enqueues a message received from a worker thread. The message gets the next sequence
+ * number, and keeps the chain and indent level it got in its thread.
+ * @param {Message} message The message, tagged with the thread id.
+ */
+Tracer.prototype.receive = function(message) {
+  message.seq = ++this.ctx.lastSeq;
+  this.enqueue(message);
+};
+
+/**
+ * Appends a message to the message queue, drops the oldest messages beyond the limits
+ * and calls the listeners registered by `onRecord()`.
+ * @param {Message} message The message.
+ */
+Tracer.prototype.enqueue = function(message) {
+  var ctx = this.ctx;
+  if (ctx.head === null) {
+    ctx.head = message;
+  } else {
+    ctx.tail.next = message;
+  }
+  ctx.tail = message;
+  ++ctx.count;
+  ctx.bytes += message.text.length;
+  if (ctx.maxMessages || ctx.maxBytes) {
+    this.trim();
+  }
+  if (ctx.listeners.length > 0) {
+    var record = message.toRecord(ctx.keepArgs);
+    var listeners = ctx.listeners.slice();
+    for (var i = 0; i < listeners.length; ++i) {
+      listeners[i](record);
+    }
+  }
+};
+
+/**
+ * Drops the oldest messages from the queue until it fits within `maxMessages` and
+ * `maxBytes`. Each message keeps its own indentation width, so the indentation of the
+ * remaining messages is not affected.
+ */
+Tracer.prototype.trim = function() {
+  var ctx = this.ctx;
+  while (ctx.head !== ctx.tail && (ctx.maxMessages && ctx.count > ctx.maxMessages ||
+    ctx.maxBytes && ctx.bytes > ctx.maxBytes)) {
+    --ctx.count;
+    ctx.bytes -= ctx.head.text.length;
+    ++ctx.dropped;
+    ctx.head = ctx.head.next;
+  }
+};
+
+/**
+ * Renders all messages in the message queue, prints the result and empties the queue.
+ * Each line is printed using the output function that matches its level. See
+ * `levels.print()` for details. See `text.render()`, `tree.createRenderer()`,
+ * `jsonl.render()`, `chrome.render()` and `folded.render()` for the layout of each
+ * format.
+ * If the tracer was created with `profile` enabled, the timing statistics of the frames
+ * closed since the last call are rendered after the messages.
+ * If the tracer was created with `collapse` enabled, repeated subtrees are collapsed
+ * first. If it merges the traces of worker threads, the messages are then ordered by
+ * time or by thread. Finally, if the output target has a `flush()` method, it is called.
+ * In a worker thread, the messages enqueued before the main thread answered are posted
+ * to it once it does, waiting briefly for the answer if needed, so nothing is left to
+ * be shown. If it does not answer, they are shown in the worker thread.
+ * This function is called automatically when the process ends, unless the tracer was
+ * created with `showOnExit` set to `false`, or set to `failure` and the process did not
+ * fail. Only then are the frames still open reported first, by `reportOpenFrames()`:
+ * on demand, e.g. at a checkpoint inside `main`, open frames are expected.
+ */
+Tracer.prototype.show = function() {
+  var ctx = this.ctx;
+  var output = ctx.output;
+  if (ctx.link && ctx.link.wait && ctx.head !== null) {
+    ctx.link.wait();
+  }
+  if (ctx.link && ctx.link.connected) {
+    return;
+  }
+  var batch = this.take();
+  if (ctx.collapse) {
+    batch.messages = collapse.collapse(batch.messages, ctx.collapse);
+  }
+  if (ctx.threads) {
+    batch.messages = threads.order(batch.messages, ctx.threads);
+  }
+  var lines = ctx.render(batch);
+  for (var i = 0; i < lines.length; ++i) {
+    levels.print(output, lines[i].type, lines[i].text);
+  }
+  if (typeof output.flush === 'function') {
+    output.flush();
+  }
+};
+
+/**
+ * Renders all messages in the message queue, prints the result and empties the queue.
+ * This is an alias for `show()`, to flush the queue on demand, e.g. at checkpoints of
+ * long-running programs.
+ */
+Tracer.prototype.flush = Tracer.prototype.show;
+
+/**
+ * Empties the message queue and returns its contents. The profile statistics, if
+ * enabled, are restarted.
+ * @returns {object} The flushed queue, as passed to the renderers. See `text.render()`
+ * for details.
+ */
+Tracer.prototype.take = function() {
+  var ctx = this.ctx;
+  var batch = {
+    messages: [],
+    dropped: ctx.dropped,
+    profile: ctx.profile,
+    indentSize: ctx.indentSize
+  };
+  for (var curr = ctx.head; curr; curr = curr.next) {
+    batch.messages.push(curr);
+  }
+  ctx.head = ctx.tail = null;
+  ctx.count = ctx.bytes = ctx.dropped = 0;
+  if (ctx.profile) {
+    ctx.profile = new profile.Profile();
+  }
+  return batch;
+};
+
+/**
+ * Gets the messages in the message queue, without emptying it.
+ * @returns {object[]} The records of the messages, in the order they were enqueued. See
+ * `Message.prototype.toRecord()` for their properties. The format arguments are included
+ * if kept by the tracer.
+ */
+Tracer.prototype.snapshot = function() {
+  var records = [];
+  for (var curr = this.ctx.head; curr; curr = curr.next) {
+    records.push(curr.toRecord(this.ctx.keepArgs));
+  }
+  return records;
+};
+
+/**
+ * Empties the message queue without printing it. The count of dropped messages and the
+ * profile statistics are also reset. Open frames are not affected.
+ */
+Tracer.prototype.clear = function() {
+  this.take();
+};
+
+/**
+ * Registers a function to be called each time a message is enqueued, before it can be
+ * dropped by the queue limits. Messages discarded by the level threshold or by a disabled
+ * namespace do not call it.
+ * @param {function} listener The function. It receives the record of the message, as
+ * returned by `Message.prototype.toRecord()`.
+ * @returns {function} A function that unregisters the listener.
+ * @example
+ * var stop = trace.onRecord(function(record) {
+ *   if (record.level === 'error') { metrics.increment('trace.errors'); }
+ * });
+ */
+Tracer.prototype.onRecord = function(listener) {
+  if (typeof listener !== 'function') {
+    throw new TypeError('Expected a function, got ' + typeof listener);
+  }
+  var listeners = this.ctx.listeners;
+  listeners.push(listener);
+  return function() {
+    var index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Formats a tracing message and enqueues the result for later printing, if the `trace`
+ * level is enabled.
+ * @param {any} args The message to be formatted and printed. Multiple arguments can
+ * be passed, with the first used as the primary message and all additional used as
+ * substitution values similar to `printf(3)`.
+ * @description The arguments are all passed to `util.format()`. The formatted message
+ * is enqueued to be printed with `output.trace()`, or `output.log()` if not available.
+ */
+Tracer.prototype.trace = function() {
+  if (this.enabled(Message.prototype.TRACE)) {
+    this.write(this.format(Message.prototype.TRACE, 'log', arguments));
+  }
+};
+
+/**
+ * Formats a debugging message and enqueues the result for later printing, if the `debug`
+ * level is enabled.
+ * @param {any} args The message to be formatted and printed. Multiple arguments can
+ * be passed, with the first used as the primary message and all additional used as
+ * substitution values similar to `printf(3)`.
+ * @description The arguments are all passed to `util.format()`. The formatted message
+ * is enqueued to be printed with `output.debug()`, or `output.log()` if not available.
+ */
+Tracer.prototype.debug = function() {
+  if (this.enabled(Message.prototype.DEBUG)) {
+    this.write(this.format(Message.prototype.DEBUG, 'log', arguments));
+  }
+};
+
+/**
+ * Formats a message and enqueues the result for later printing, if the `info` level is
+ * enabled.
+ * @param {any} args The message to be formatted and printed. Multiple arguments can
+ * be passed, with the first used as the primary message and all additional used as
+ * substitution values similar to `printf(3)`.
+ * @description The arguments are all passed to `util.format()`. The formatted message
+ * is enqueued to be printed with `output.log()`.
+ */
+Tracer.prototype.info = function() {
+  if (this.enabled(Message.prototype.INFO)) {
+    this.write(this.format(Message.prototype.INFO, 'log', arguments));
+  }
+};
+
+/**
+ * Formats a message and enqueues the result for later printing, if the `info` level is
+ * enabled.
+ * @param {any} args The message to be formatted and printed. Multiple arguments can
+ * be passed, with the first used as the primary message and all additional used as
+ * substitution values similar to `printf(3)`.
+ * @description The arguments are all passed to `util.format()`. The formatted message
+ * is enqueued to be printed with `output.log()`.
+ */
+Tracer.prototype.log = Tracer.prototype.info;
+
+/**
+ * Formats a warning message and enqueues the result for later printing, if the `warn`
+ * level is enabled.
+ * @param {any} args The message to be formatted and printed. Multiple arguments can
+ * be passed, with the first used as the primary message and all additional used as
+ * substitution values similar to `printf(3)`.
+ * @description The arguments are all passed to `util.format()`. The formatted message
+ * is enqueued to be printed with `output.warn()`.
+ */
+Tracer.prototype.warn = function() {
+  if (this.enabled(Message.prototype.WARN)) {
+    this.write(this.format(Message.prototype.WARN, 'log', arguments));
+  }
+};
+
+/**
+ * Formats an error message and enqueues the result for later printing, if the `error`
+ * level is enabled.
+ * @param {any} args The message to be formatted and printed. Multiple arguments can
+ * be passed, with the first used as the primary message and all additional used as
+ * substitution values similar to `printf(3)`.
+ * @description The arguments are all passed to `util.format()`. The formatted message
+ * is enqueued to be printed with `output.error()`.
+ */
+Tracer.prototype.error = function() {
+  if (this.enabled(Message.prototype.ERROR)) {
+    this.write(this.format(Message.prototype.ERROR, 'log', arguments));
+  }
+};
+
+/**
+ * Formats a fatal error message and enqueues the result for later printing, if the
+ * `fatal` level is enabled.
+ * @param {any} args The message to be formatted and printed. Multiple arguments can
+ * be passed, with the first used as the primary message and all additional used as
+ * substitution values similar to `printf(3)`.
+ * @description The arguments are all passed to `util.format()`. The formatted message
+ * is enqueued to be printed with `output.fatal()`, or `output.error()` if not available.
+ */
+Tracer.prototype.fatal = function() {
+  if (this.enabled(Message.prototype.FATAL)) {
+    this.write(this.format(Message.prototype.FATAL, 'log', arguments));
+  }
+};
+
+/**
+ * Sets the level threshold. Messages below it are discarded as soon as they are written.
+ * @param {string|number} level The level name (`trace`, `debug`, `info`, `warn`,
+ * `error`, `fatal` or `silent`) or value.
+ */
+Tracer.prototype.setLevel = function(level) {
+  this.ctx.level = levels.parse(level);
+};
+
+/**
+ * Gets the level threshold.
+ * @returns {string} The level name, or `silent`.
+ */
+Tracer.prototype.getLevel = function() {
+  return this.ctx.level === Infinity ? 'silent' : levels.name(this.ctx.level);
+};
+
+/**
+ * Checks if messages of a given level are enqueued, without parsing the level.
+ * @param {number} level The level value.
+ * @returns {boolean} `true` if the level is not below the threshold and the namespace
+ * of the tracer, if any, is enabled.
+ */
+Tracer.prototype.enabled = function(level) {
+  var ctx = this.ctx;
+  if (level < ctx.level) {
+    return false;
+  }
+  if (this.ns === null) {
+    return true;
+  }
+  if (this.nsVersion !== ctx.filterVersion) {
+    this.nsEnabled = ctx.filter.enabled(this.ns);
+    this.nsVersion = ctx.filterVersion;
+  }
+  return this.nsEnabled;
+};
+
+/**
+ * Checks if messages of a given level are enqueued. Use it to skip computing the
+ * arguments of messages that would be discarded.
+ * @param {string|number} level The level name or value.
+ * @returns {boolean} `true` if the level is not below the threshold and the namespace
+ * of the tracer, if any, is enabled.
+ */
+Tracer.prototype.isLevelEnabled = function(level) {
+  return this.enabled(levels.parse(level));
+};
+
+/**
+ * Pretends to print a formatted message.
+ * @param {any} args Multiple arguments can be passed. The arguments are all ignored.
+ */
+Tracer.prototype.ignore = function() {
+};
+
+/**
+ * Formats an optional message, enqueues the result for later printing and increases the
+ * indentation of subsequent lines.
+ * @param {any} args An optional message to be formatted and printed. Multiple arguments
+ * can be passed, with the first used as the primary message and all additional used as
+ * substitution values similar to `printf(3)`.
+ * @description The arguments are all passed to `util.format()`. The formatted message
+ * is enqueued to be printed with `output.log()`.
+ */
+Tracer.prototype.indent = function() {
+  var chain = this.chain();
+  if (arguments.length > 0) {
+    this.log.apply(this, arguments);
+  }
+  ++chain.indentLevel;
+};
+
+/**
+ * Formats an optional message, enqueues the result for later printing and increases the
+ * indentation of subsequent lines.
+ * @param {any} args An optional message to be formatted and printed. Multiple arguments
+ * can be passed, with the first used as the primary message and all additional used as
+ * substitution values similar to `printf(3)`.
+ * @description The arguments are all passed to `util.format()`. The formatted message
+ * is enqueued to be printed with `output.log()`.
+ */
+Tracer.prototype.group = Tracer.prototype.indent;
+
+/**
+ * Decreases the indentation of subsequent lines. If the indentation is already zero, it
+ * is not changed, and a warning is enqueued instead.
+ */
+Tracer.prototype.unindent = function() {
+  var chain = this.chain();
+  if (chain.indentLevel > 0) {
+    --chain.indentLevel;
+  } else {
+    this.warn('unindent() without a matching indent()');
+  }
+};
+
+/**
+ * Decreases the indentation of subsequent lines.
+ */
+Tracer.prototype.groupEnd = Tracer.prototype.unindent;
+
+/**
+ * Formats a message, enqueues the result for later printing and increases the
+ * indentation of subsequent lines.
+ * @param {any} args The message to be formatted and printed. Multiple arguments can
+ * be passed, with the first used as the primary message and all additional used as
+ * substitution values similar to `printf(3)`.
+ * @description The arguments are all passed to `util.format()`. The formatted message
+ * is enqueued to be printed at the `frameLevel` of the tracer. The first word of the
+ * formatted message is saved to be printed automatically by `leave()`. If `frameLevel`
+ * is below the level threshold, nothing is enqueued and the indentation is not changed,
+ * but the frame is still opened, so it can be matched by `leave()`.
+ * @returns {Frame} The frame opened, to be passed to `leave()`.
+ * @example
+ * var frame = trace.enter('parse %s', file);
+ * ...
+ * trace.leave(frame, 'done');
+ */
+Tracer.prototype.enter = function() {
+  return this.open(null, arguments);
+};
+
+/**
+ * Opens a frame. This is the implementation of `enter()`. A frame not sampled is muted
+ * before its message is formatted, if its name is known by then.
+ * @param {string} name The frame name, or `null` to use the first word of the formatted
+ * message.
+ * @param {arguments|function} args The arguments to be passed to `util.format()`, or,
+ * if `name` is given, a function that returns them. The function is called only if the
+ * frame is recorded, so the arguments of a muted frame are not even prepared.
+ * @returns {Frame} The frame opened.
+ */
+Tracer.prototype.open = function(name, args) {
+  var ctx = this.ctx;
+  var chain = this.chain();
+  var frame;
+  ctx.chains[chain.id] = chain;
+  if (chain.muted > 0 || ctx.maxDepth && chain.frames.length >= ctx.maxDepth) {
+    return this.mute(chain);
+  }
+  if (!this.enabled(ctx.frameLevel)) {
+    frame = new Frame(null, false);
+    chain.frames.push(frame);
+    return frame;
+  }
+  if (name === null) {
+    name = frameName(args, ctx.redactor);
+  }
+  if (name !== null && ctx.sampler && !ctx.sampler.sample(name)) {
+    return this.mute(chain);
+  }
+  var message = this.format(ctx.frameLevel, 'enter', typeof args === 'function' ? args() :
+    args);
+  if (name === null) {
+    var match = message.text.match(/\w+/);
+    name = match ? match[0] : message.text;
+    if (ctx.sampler && !ctx.sampler.sample(name)) {
+      return this.mute(chain);
+    }
+  }
+  message.name = name;
+  frame = new Frame(name, ctx.timing);
+  frame.text = message.text;
+  chain.frames.push(frame);
+  this.write(message, chain);
+  ++chain.indentLevel;
+  return frame;
+};
+
+/**
+ * Opens a muted frame: a frame deeper than `maxDepth` or not sampled. It is not
+ * recorded, nor is anything inside it below `warn`, but it is counted by the innermost
+ * recorded frame.
+ * @param {Chain} chain The caller's chain.
+ * @returns {Frame} The frame opened.
+ */
+Tracer.prototype.mute = function(chain) {
+  var frame = new Frame(null, false);
+  frame.muted = true;
+  for (var i = chain.frames.length - 1; i >= 0; --i) {
+    if (chain.frames[i].visible) {
+      ++chain.frames[i].hidden;
+      break;
+    }
+  }
+  ++chain.muted;
+  chain.frames.push(frame);
+  return frame;
+};
+
+/**
+ * Decreases the indentation of subsequent lines, formats an optional message and enqueues
+ * the result for later printing.
+ * @param {Frame} [frame] The frame returned by `enter()`. The default is the innermost
+ * open frame. If the given frame is not the innermost one, the frames opened after it
+ * were left open: they are closed first, after a warning naming them. If the given frame
+ * is not open, or was opened before the `fork()` that started the caller's chain, a
+ * warning is enqueued and nothing is closed.
+ * @param {any} args An optional message to be formatted and printed. Multiple arguments
+ * can be passed, with the first used as the primary message and all additional used as
+ * substitution values similar to `printf(3)`.
+ * @description The arguments are all passed to `util.format()`. The formatted message
+ * is prepended with the word saved by `enter()` and, unless `timing` is disabled,
+ * followed by the time elapsed since `enter()`, e.g. `< factorial result=24 (1.23ms)`.
+ * The result is enqueued to be printed at the `frameLevel` of the tracer. If the frame
+ * was opened below the level threshold, nothing is enqueued. If no frame is open, a
+ * warning is enqueued instead.
+ */
+Tracer.prototype.leave = function(frame) {
+  if (frame instanceof Frame) {
+    this.close(frame, Array.prototype.slice.call(arguments, 1));
+  } else {
+    this.close(null, arguments);
+  }
+};
+
+/**
+ * Closes an open frame. This is the implementation of `leave()`. A chain started by
+ * `fork()` only closes the frames it opened: the frames copied from its parent chain are
+ * not open in it.
+ * @param {Frame} frame The frame, or `null` for the innermost open frame.
+ * @param {arguments} args The arguments to be passed to `util.format()`.
+ * @param {number} [type] The message level. The default is the `frameLevel` of the
+ * tracer.
+ */
+Tracer.prototype.close = function(frame, args, type) {
+  var chain = this.chain();
+  var frames = chain.frames;
+  var index = frame ? frames.lastIndexOf(frame) : frames.length - 1;
+  if (index < chain.base || index === -1) {
+    if (frame) {
+      this.warn('leave(%s) of a frame that is not open', frame.name || '');
+    } else {
+      this.warn('leave() without a matching enter()');
+    }
+    return;
+  }
+  if (index < frames.length - 1) {
+    this.abandon(chain, index + 1, frames[index]);
+  }
+  this.end(chain, args, type);
+};
+
+/**
+ * Closes the frames left open above a frame being closed by `leave()`, after a warning
+ * naming them. Each one is closed with the text `left open`.
+ * @param {Chain} chain The caller's chain.
+ * @param {number} index The index of the outermost frame left open.
+ * @param {Frame} frame The frame being closed.
+ */
+Tracer.prototype.abandon = function(chain, index, frame) {
+  var names = [];
+  for (var i = chain.frames.length - 1; i >= index; --i) {
+    if (chain.frames[i].visible) {
+      names.push(chain.frames[i].name);
+    }
+  }
+  if (names.length > 0) {
+    this.warn('leave(%s) found frames left open: %s', frame.name || '', names.join(', '));
+  }
+  while (chain.frames.length > index) {
+    this.end(chain, ['left open']);
+  }
+};
+
+/**
+ * Closes the innermost open frame of a chain and, if the frame is visible, enqueues its
+ * `leave` message.
+ * @param {Chain} chain The caller's chain.
+ * @param {arguments} args The arguments to be passed to `util.format()`.
+ * @param {number} [type] The message level. The default is the `frameLevel` of the
+ * tracer.
+ */
+Tracer.prototype.end = function(chain, args, type) {
+  var ctx = this.ctx;
+  var frame = chain.frames.pop();
+  if (chain.frames.length <= chain.base) {
+    delete ctx.chains[chain.id];
+  }
+  if (frame.muted) {
+    --chain.muted;
+  }
+  if (!frame.visible) {
+    return;
+  }
+  var message = this.format(type || ctx.frameLevel, 'leave', args);
+  message.name = frame.name;
+  if (frame.hidden > 0) {
+    message.text += (message.text ? ' ' : '') + '(+' + frame.hidden + ' frame' +
+      (frame.hidden === 1 ? '' : 's') + ' not shown)';
+  }
+  if (frame.start) {
+    message.elapsed = this.stop(frame);
+  }
+  if (chain.indentLevel > 0) {
+    --chain.indentLevel;
+  }
+  this.write(message, chain);
+};
+
+/**
+ * Enqueues a warning for each async chain with frames still open, naming them from the
+ * outermost, e.g. `frames still open: main > parse`. Called before the queue is shown
+ * when the process ends.
+ */
+Tracer.prototype.reportOpenFrames = function() {
+  var ctx = this.ctx;
+  var tracer = ctx.tracer;
+  if (!tracer.enabled(Message.prototype.WARN)) {
+    return;
+  }
+  for (var id in ctx.chains) {
+    var chain = ctx.chains[id];
+    var path = framePath(chain);
+    if (path !== '') {
+      tracer.write(tracer.format(Message.prototype.WARN, 'log',
+        ['frames still open: %s', path]), chain);
+    }
+  }
+};
+
+/**
+ * Enqueues a `fatal` message describing a crash: the error, rendered by
+ * `errors.render()`, followed by the frames open in each async chain, outermost first,
+ * with their `enter()` message and the time elapsed since then, if known. Called when the
+ * process has an uncaught exception, if the tracer was created with `crashReport`.
+ * @param {any} error The uncaught exception or the rejection reason.
+ * @param {string} [origin='uncaughtException'] The origin of the error:
+ * `uncaughtException` or `unhandledRejection`.
+ */
+Tracer.prototype.reportCrash = function(error, origin) {
+  var ctx = this.ctx;
+  var tracer = ctx.tracer;
+  if (!tracer.enabled(Message.prototype.FATAL)) {
+    return;
+  }
+  var lines = [];
+  var ids = Object.keys(ctx.chains);
+  for (var i = 0; i < ids.length; ++i) {
+    var frames = ctx.chains[ids[i]].frames;
+    var header = ids.length > 1 ? 'open frames of chain ' + ids[i] + ':' : 'open frames:';
+    for (var j = 0; j < frames.length; ++j) {
+      var frame = frames[j];
+      if (!frame.visible) {
+        continue;
+      }
+      if (header) {
+        lines.push(header);
+        header = null;
+      }
+      var diff = frame.start ? process.hrtime(frame.start) : null;
+      lines.push('  ' + frame.text + (diff ? ' (' +
+        profile.formatDuration(diff[0] * 1e3 + diff[1] / 1e6) + ')' : ''));
+    }
+  }
+  tracer.write(tracer.format(Message.prototype.FATAL, 'log', ['%s: %O%s',
+    origin === 'unhandledRejection' ? 'unhandled rejection' : 'uncaught exception', error,
+    lines.length > 0 ? '\n' + lines.join('\n') : '']));
+};
+
+/**
+ * Computes the time spent in a frame just closed by `leave()`, adds it to the time of the
+ * parent frame and, if enabled, to the profile.
+ * @param {Frame} frame The frame, already removed from the caller's chain.
+ * @returns {number} The time elapsed since the frame was opened, in milliseconds.
+ */
+Tracer.prototype.stop = function(frame) {
+  var diff = process.hrtime(frame.start);
+  var elapsed = diff[0] * 1e3 + diff[1] / 1e6;
+  var chain = this.chain();
+  var frames = chain.frames;
+  if (frames.length > chain.base) {
+    frames[frames.length - 1].childTime += elapsed;
+  }
+  if (this.ctx.profile) {
+    var outermost = true;
+    for (var i = 0; i < frames.length && outermost; ++i) {
+      outermost = frames[i].name !== frame.name;
+    }
+    this.ctx.profile.add(frame.name, elapsed, Math.max(elapsed - frame.childTime, 0),
+      outermost);
+  }
+  return elapsed;
+};
+
+/**
+ * Opens a frame for an asynchronous operation and closes it when the operation settles.
+ * The frame is opened at once, like `enter()`, in a new async chain (see `fork()`), so
+ * the messages written by the operation while it is pending are nested in the frame, and
+ * the messages written meanwhile by the caller are not. The frame is closed with the
+ * resolved value, e.g. `< fetch result=200 (12.34ms)`, or with the rejection reason,
+ * e.g. `< fetch rejected Error: timeout (30.12ms)`, in which case the message is enqueued
+ * at the `error` level.
+ * @param {any} args The message to be formatted and printed by `enter()`. Multiple
+ * arguments can be passed, with the first used as the primary message and all additional
+ * used as substitution values similar to `printf(3)`.
+ * @param {function|Promise} task The last argument: an async function, or any function
+ * returning a promise, called without arguments in the new chain, or a promise. A
+ * function that returns another value or throws closes the frame at once.
+ * @returns {any} A promise that settles like the promise of the task, or the value
+ * returned by the function.
+ * @example
+ * var user = await trace.enterAsync('readUser %d', id, function() {
+ *   return db.findUser(id);
+ * });
+ */
+Tracer.prototype.enterAsync = function() {
+  var self = this;
+  var args = Array.prototype.slice.call(arguments, 0, -1);
+  var task = arguments[arguments.length - 1];
+  if (typeof task !== 'function' && !(task && typeof task.then === 'function')) {
+    throw new TypeError('Expected a function or a promise, got ' + typeof task);
+  }
+  var ctx = this.ctx;
+  var format = wrap.formatters(this, {});
+  var redactor = ctx.redactor;
+  var errorLevel = Math.max(ctx.frameLevel, Message.prototype.ERROR);
+  return this.fork(function() {
+    var frame = self.open(null, args);
+    var result;
+    try {
+      result = typeof task === 'function' ? task() : task;
+    } catch (e) {
+      self.close(frame, frame.visible ? ['%s', format.formatError(e)] : [], errorLevel);
+      throw e;
+    }
+    if (!result || typeof result.then !== 'function') {
+      self.close(frame, frame.visible ? ['%s', format.formatResult(redactor ?
+        redactor.value(result, null, null, []) : result)] : []);
+      return result;
+    }
+    return result.then(function(value) {
+      self.close(frame, frame.visible ? ['%s', format.formatResult(redactor ?
+        redactor.value(value, null, null, []) : value)] : []);
+      return value;
+    }, function(reason) {
+      var text = frame.visible ? 'rejected ' + wrap.describeError(reason, ctx.inspector) :
+        null;
+      self.close(frame, text !== null ? ['%s', text] : [], errorLevel);
+      throw reason;
+    });
+  });
+};
+
+/**
+ * Gets a namespaced tracer, e.g. `db:pool`. It shares the message queue, indentation and
+ * open frames of this tracer, so `enter()` and `leave()` nest across namespaces, but its
+ * messages are tagged with the namespace and are discarded when the namespace is not
+ * enabled. The namespace of a namespaced tracer is appended to its own, separated by a
+ * colon.
+ * @param {string} name The namespace.
+ * @returns {Tracer} The namespaced tracer. The same object is returned for the same
+ * namespace.
+ */
+Tracer.prototype.namespace = function(name) {
+  var ctx = this.ctx;
+  var ns = this.ns === null ? String(name) : this.ns + ':' + name;
+  var tracer = ctx.namespaces[ns];
+  if (!tracer) {
+    tracer = ctx.namespaces[ns] = Object.create(ctx.tracer);
+    tracer.ns = ns;
+    tracer.nsVersion = -1;
+    tracer.nsEnabled = false;
+    bindMethods(tracer);
+  }
+  return tracer;
+};
+
+/**
+ * Sets the patterns of the namespaces enabled.
+ * @param {string} patterns The patterns, separated by commas or spaces, e.g.
+ * `db:*,-db:pool,http`. `*` matches any sequence of characters, and a pattern starting
+ * with `-` disables the namespaces it matches. If empty, every namespace is enabled.
+ */
+Tracer.prototype.enable = function(patterns) {
+  var ctx = this.ctx;
+  ctx.filter = new namespaces.Filter(patterns);
+  ++ctx.filterVersion;
+};
+
+/**
+ * Disables all namespaces. Messages of tracers without a namespace are not affected.
+ * @returns {string} The patterns enabled before the call, to be restored with
+ * `enable()`.
+ */
+Tracer.prototype.disable = function() {
+  var patterns = this.ctx.filter.patterns;
+  this.enable('-*');
+  return patterns;
+};
+
+/**
+ * Runs a function in a new async chain. The new chain starts with the indentation and
+ * open frames of the caller's chain, and follows the function through `await`, timers
+ * and callbacks. Calls to `enter()` and `leave()` in the new chain do not affect other
+ * chains, so overlapping asynchronous operations keep their own call trees.
+ * @param {function} fn The function to be run. It is called without arguments.
+ * @returns {any} The value returned by `fn`.
+ * @example
+ * Promise.all([trace.fork(readUser), trace.fork(readOrders)]);
+ */
+Tracer.prototype.fork = function(fn) {
+  var ctx = this.ctx;
+  var store = Object.create(context.getStore() || null);
+  store[ctx.key] = new Chain(++ctx.lastChainId, this.chain());
+  return context.getStorage().run(store, fn);
+};
+
+/**
+ * Moves the innermost open frame of the caller's chain to a new async chain, and runs a
+ * function in that chain, which is the only one that can close the frame. Used when a
+ * call returns a promise, so the frame closed when the promise settles is no longer open
+ * in the caller's chain, where the frames opened and closed meanwhile nest as usual.
+ * @param {Frame} frame The frame. If it is not the innermost open frame of the caller's
+ * chain, it is not moved, and the function runs in the caller's chain.
+ * @param {function} fn The function to be run. It is called without arguments.
+ * @returns {any} The value returned by `fn`.
+ */
+Tracer.prototype.detach = function(frame, fn) {
+  var self = this;
+  var ctx = this.ctx;
+  var chain = this.chain();
+  var frames = chain.frames;
+  if (frames.length <= chain.base || frames[frames.length - 1] !== frame) {
+    return fn();
+  }
+  frames.pop();
+  if (frames.length <= chain.base) {
+    delete ctx.chains[chain.id];
+  }
+  if (frame.muted) {
+    --chain.muted;
+  }
+  if (frame.visible && chain.indentLevel > 0) {
+    --chain.indentLevel;
+  }
+  return this.fork(function() {
+    var forked = self.chain();
+    forked.frames.push(frame);
+    ctx.chains[forked.id] = forked;
+    if (frame.muted) {
+      ++forked.muted;
+    }
+    if (frame.visible) {
+      ++forked.indentLevel;
+    }
+    return fn();
+  });
+};
+
+/**
+ * Creates a function that calls a given function between `enter()` and `leave()`. The
+ * frame is opened with the function name and its arguments, e.g. `> factorial(4)`, and
+ * closed with the return value, e.g. `< factorial result=24`, or with the thrown error,
+ * e.g. `< factorial threw RangeError: Invalid count`, which is rethrown. A returned
+ * promise closes the frame when it settles, in a new async chain. See `wrap.wrap()` for
+ * details.
+ * @param {function} fn The function to be wrapped.
+ * @param {string|object} [options] The frame name, or the wrap options: `name`,
+ * `formatArgs`, `formatResult` and `formatError`. See `wrap.wrap()` for details.
+ * @returns {function} The wrapper. It preserves `this`, supports `new`, and has the same
+ * `name`, `length` and `prototype` as the wrapped function.
+ * @example
+ * var factorial = trace.wrap(function factorial(n) { ... });
+ */
+Tracer.prototype.wrap = function(fn, options) {
+  return wrap.wrap(this, fn, options);
+};
+
+/**
+ * Replaces every method of an object by a wrapper created by `wrap()`. Accessors,
+ * read-only properties and `constructor` are not changed.
+ * @param {object} obj The object.
+ * @param {object} [options] The wrap options. See `wrap()` for details. `prefix`, if
+ * given, is prepended to the method names, followed by a dot.
+ * @returns {object} The object.
+ */
+Tracer.prototype.wrapAll = function(obj, options) {
+  return wrap.wrapAll(this, obj, options);
+};
+
+/**
+ * Replaces every method of a class prototype by a wrapper created by `wrap()`. The frame
+ * names are prefixed with the class name, e.g. `Stack.push`.
+ * @param {function} Ctor The class or constructor.
+ * @param {object} [options] The wrap options. See `wrapAll()` for details.
+ * @returns {function} The class.
+ */
+Tracer.prototype.wrapClass = function(Ctor, options) {
+  return wrap.wrapClass(this, Ctor, options);
+};
+
+/**
+ * Creates a new tracer with the options of this tracer overridden by the given options.
+ * @param {object} [options] The options to override. See `Tracer` for details.
+ * @returns {Tracer} The new tracer, with its own message queue.
+ */
+Tracer.prototype.createTracer = function(options) {
+  return new Tracer(extend({}, this.options, options));
+};
+
+/**
+ * Creates a tracer with its own message queue.
+ * @param {object} [options] The tracer options. See `Tracer` for details.
+ * @returns {Tracer} The new tracer.
+ */
+exports.createTracer = function(options) {
+  return new Tracer(options);
+};
+
+exports.Tracer = Tracer;
+exports.Message = Message;
+exports.consoleOutput = consoleOutput;
+exports.createSink = sinks.createSink;
+exports.FileSink = sinks.FileSink;
+exports.StreamSink = sinks.StreamSink;
+exports.FunctionSink = sinks.FunctionSink;
+exports.bufferFormatter = inspect.bufferFormatter;
+exports.renderText = text.render;
+exports.renderTree = tree.render;
+exports.createTreeRenderer = tree.createRenderer;
+exports.renderJsonl = jsonl.render;
+exports.renderChrome = chrome.render;
+exports.renderFolded = folded.render;
@@ -0,0 +1,247 @@
+/**
+ * @file Formats the arguments of trace messages with configurable inspect options.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module formats message arguments like `util.format()`, but with the
+ * `util.inspect()` options of the tracer, custom formatters per type, and a maximum
+ * length per message.
+ * @module trace-core/inspect
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * The `util` module is primarily designed to support the needs of Node.js' own internal
+ * APIs. However, many of the utilities are useful for application and module developers
+ * as well.
+ * @requires util
+ * https://nodejs.org/api/util.html
+ */
+var util = require('util');
+
+/**
+ * Options added by `%o` to the inspect options. See `util.format()`.
+ */
+var lowerO = { showHidden: true, showProxy: true, depth: 4 };
+
+/**
+ * Copies the own enumerable properties of the source objects to a new object.
+ * @param {...object} sources The source objects. Null or undefined sources are skipped.
+ * @returns {object} The new object.
+ */
+function merge() {
+  var target = {};
+  for (var i = 0; i < arguments.length; ++i) {
+    var source = arguments[i];
+    for (var key in source) {
+      if (Object.prototype.hasOwnProperty.call(source, key)) {
+        target[key] = source[key];
+      }
+    }
+  }
+  return target;
+}
+
+/**
+ * Creates a value rendered as a given text, without quotes, by `util.inspect()` and
+ * `util.format()`.
+ * @constructor
+ * @param {string} text The text.
+ */
+function Rendered(text) {
+  /** Text of the value. */
+  this.text = text;
+}
+
+/**
+ * Gets the text of the value.
+ * @returns {string} The text.
+ */
+Rendered.prototype.toString = function() {
+  return this.text;
+};
+
+Rendered.prototype[util.inspect.custom] = Rendered.prototype.toString;
+
+/**
+ * Checks if a value is an object whose properties can be copied: a plain object or an
+ * instance of a class, but not a built-in object like a `Date`, a `Map` or a `Buffer`.
+ * @param {any} value The value.
+ * @returns {boolean} `true` if the properties of the value can be copied.
+ */
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Buffer.isBuffer(value) &&
+    Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Creates a formatter that renders a `Buffer` as a hexadecimal preview, e.g.
+ * `<Buffer 0a1b2c3d... (1024 bytes)>`.
+ * @param {number} [maxBytes=16] Maximum number of bytes shown.
+ * @returns {object} The formatter, to be added to the `formatters` option of a tracer.
+ */
+function bufferFormatter(maxBytes) {
+  maxBytes = maxBytes > 0 ? maxBytes : 16;
+  return {
+    type: Buffer,
+    format: function(buffer) {
+      var hex = buffer.slice(0, maxBytes).toString('hex');
+      return '<Buffer ' + hex + (buffer.length > maxBytes ? '...' : '') + ' (' +
+        buffer.length + ' byte' + (buffer.length === 1 ? '' : 's') + ')>';
+    }
+  };
+}
+
+/**
+ * Creates an inspector: the formatter of the messages of a tracer.
+ * @constructor
+ * @param {object} [options] The tracer options.
+ * @param {object} [options.inspect] Options passed to `util.inspect()` to render objects,
+ * e.g. `depth`, `maxArrayLength`, `maxStringLength`, `compact` and `breakLength`.
+ * @param {string} [options.objectFormat='O'] How objects not consumed by a format
+ * specifier are rendered: `O`, like `%O`, with the inspect options, or `o`, like `%o`,
+ * also showing hidden properties, 4 levels deep unless `inspect.depth` is set.
+ * @param {object[]} [options.formatters] Custom formatters, each one with a `type` (a
+ * constructor, matched with `instanceof`) or a `test` function, and a `format` function
+ * that returns the value to be rendered instead. A string returned is rendered as is,
+ * without quotes. Formatters apply to arguments and to the values nested in their
+ * arrays and objects. See `bufferFormatter()` for an example.
+ * @param {number} [options.maxLength=0] Maximum length of a formatted message. Longer
+ * messages are truncated, with a marker telling how many characters were cut. Zero means
+ * no limit.
+ */
+function Inspector(options) {
+  options = options || {};
+  if (options.objectFormat !== undefined && options.objectFormat !== 'O' &&
+    options.objectFormat !== 'o') {
+    throw new TypeError('Invalid object format: ' + options.objectFormat);
+  }
+  /** Options passed to `util.inspect()`, or `null` for the defaults. */
+  this.options = options.inspect || options.objectFormat === 'o' ?
+    merge(options.objectFormat === 'o' ? lowerO : null, options.inspect) : null;
+  /** Custom formatters. */
+  this.formatters = options.formatters || [];
+  /** Maximum length of a formatted message, or zero. */
+  this.maxLength = options.maxLength > 0 ? options.maxLength : 0;
+}
+
+/**
+ * Finds the custom formatter of a value.
+ * @param {any} value The value.
+ * @returns {object} The formatter, or `null` if none applies.
+ */
+Inspector.prototype.formatter = function(value) {
+  for (var i = 0; i < this.formatters.length; ++i) {
+    var formatter = this.formatters[i];
+    if (formatter.type ? value instanceof formatter.type : formatter.test(value)) {
+      return formatter;
+    }
+  }
+  return null;
+};
+
+/**
+ * Applies the custom formatters to a value and to the values nested in it.
+ * @param {any} value The value.
+ * @param {number} depth Number of nesting levels still to be visited.
+ * @param {Array[]} [seen] The objects being copied and their copies, to copy cycles.
+ * @returns {any} The value to be rendered: the value itself, the result of its
+ * formatter, or a copy of it with nested values formatted.
+ */
+Inspector.prototype.prepare = function(value, depth, seen) {
+  if (this.formatters.length === 0 || value === null || typeof value !== 'object') {
+    return value;
+  }
+  var formatter = this.formatter(value);
+  if (formatter) {
+    var result = formatter.format(value);
+    return typeof result === 'string' ? new Rendered(result) : result;
+  }
+  var isArray = Array.isArray(value);
+  if (depth < 0 || !isArray && !isRecord(value)) {
+    return value;
+  }
+  seen = seen || [];
+  for (var i = 0; i < seen.length; ++i) {
+    if (seen[i][0] === value) {
+      return seen[i][1];
+    }
+  }
+  var copy = isArray ? [] : Object.create(Object.getPrototypeOf(value));
+  seen.push([value, copy]);
+  var keys = Object.keys(value);
+  for (var j = 0; j < keys.length; ++j) {
+    copy[keys[j]] = this.prepare(value[keys[j]], depth - 1, seen);
+  }
+  return copy;
+};
+
+/**
+ * Gets the number of nesting levels rendered by `util.inspect()`.
+ * @param {object} [defaults] Inspect options overridden by the tracer options.
+ * @returns {number} The depth.
+ */
+Inspector.prototype.depth = function(defaults) {
+  var options = merge(defaults, this.options);
+  return options.depth === null || options.depth === Infinity ? Infinity :
+    options.depth !== undefined ? options.depth : 2;
+};
+
+/**
+ * Renders a value with `util.inspect()`, the custom formatters and the inspect options.
+ * @param {any} value The value.
+ * @param {object} [defaults] Inspect options overridden by the tracer options.
+ * @returns {string} The rendered value.
+ */
+Inspector.prototype.inspect = function(value, defaults) {
+  return util.inspect(this.prepare(value, this.depth(defaults)),
+    merge(defaults, this.options));
+};
+
+/**
+ * Formats the arguments of a message like `util.format()`, with the custom formatters and
+ * the inspect options.
+ * @param {any[]} args The arguments.
+ * @returns {string} The formatted message, not yet truncated.
+ */
+Inspector.prototype.format = function(args) {
+  if (this.formatters.length > 0) {
+    var depth = this.depth();
+    var prepared = [];
+    for (var i = 0; i < args.length; ++i) {
+      prepared.push(this.prepare(args[i], depth));
+    }
+    args = prepared;
+  }
+  if (this.options && util.formatWithOptions) {
+    return util.formatWithOptions.apply(util, [this.options].concat(
+      Array.prototype.slice.call(args)));
+  }
+  return util.format.apply(util, args);
+};
+
+/**
+ * Truncates a formatted message to the maximum length.
+ * @param {string} text The formatted message.
+ * @returns {string} The message, or its beginning followed by a marker like
+ * `... [+1234 chars]` if it is longer than the maximum length.
+ */
+Inspector.prototype.truncate = function(text) {
+  if (this.maxLength === 0 || text.length <= this.maxLength) {
+    return text;
+  }
+  return text.slice(0, this.maxLength) + ' ... [+' + (text.length - this.maxLength) +
+    ' chars]';
+};
+
+exports.Inspector = Inspector;
+exports.Rendered = Rendered;
+exports.bufferFormatter = bufferFormatter;
+exports.isRecord = isRecord;
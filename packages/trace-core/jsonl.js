@@ -0,0 +1,60 @@
+/**
+ * @file Renders the message queue of a tracer as JSON Lines.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module renders messages as JSON Lines: one JSON object per line,
+ * so the trace can be processed by tools like `jq`. All lines are printed with the
+ * `log()` method of the output target, so they are not split between streams.
+ * @see http://jsonlines.org/
+ * @module trace-core/jsonl
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Messages enqueued in the message queue of a tracer.
+ * @requires trace-core/message
+ */
+var Message = require('./message');
+
+/**
+ * Renders the messages of a flushed queue as JSON Lines.
+ * @param {object} batch The flushed queue. See `text.render()` for details.
+ * @returns {object[]} The lines to be printed, each one with `type` and `text`.
+ * @description Each message is rendered as an object with the `seq`, `time`, `pid`,
+ * `chain`, `level`, `depth`, `kind` (`log`, `enter` or `leave`), `name`, `message`,
+ * `elapsed`, `path` for warnings and errors, and, when kept and serializable, `args`
+ * properties. If messages were dropped, an object with `kind` set to `dropped` and their
+ * `count` is rendered first. The profile statistics, if any, are rendered last, one
+ * object per frame name, with `kind` set to `profile`.
+ */
+exports.render = function(batch) {
+  var lines = [];
+  var type = Message.prototype.LOG;
+  var pid = process.pid;
+  if (batch.dropped > 0) {
+    lines.push({
+      type: type,
+      text: JSON.stringify({ pid: pid, kind: 'dropped', count: batch.dropped })
+    });
+  }
+  for (var i = 0; i < batch.messages.length; ++i) {
+    lines.push({ type: type, text: JSON.stringify(batch.messages[i].toRecord(true)) });
+  }
+  if (batch.profile && batch.profile.length > 0) {
+    var records = batch.profile.toRecords();
+    for (var j = 0; j < records.length; ++j) {
+      records[j].pid = pid;
+      records[j].kind = 'profile';
+      lines.push({ type: type, text: JSON.stringify(records[j]) });
+    }
+  }
+  return lines;
+};
@@ -0,0 +1,106 @@
+/**
+ * @file Severity levels of trace messages.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module defines the severity levels (`trace`, `debug`, `info`,
+ * `warn`, `error` and `fatal`), converts between level names and values, and prints a
+ * message with the output method that matches its level.
+ * @module trace-core/levels
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Level values, indexed by level name. `log` is an alias for `info`, and `silent` is a
+ * threshold that filters out every message.
+ */
+var values = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  log: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60,
+  silent: Infinity
+};
+
+/**
+ * Level names, indexed by level value.
+ */
+var names = {
+  10: 'trace',
+  20: 'debug',
+  30: 'info',
+  40: 'warn',
+  50: 'error',
+  60: 'fatal'
+};
+
+/**
+ * Output methods used when the output target does not have a method named after the
+ * level, indexed by level name. `info` is always printed with `log()`, the method every
+ * output target has.
+ */
+var fallbacks = {
+  trace: 'log',
+  debug: 'log',
+  info: 'log',
+  warn: 'warn',
+  error: 'error',
+  fatal: 'error'
+};
+
+/**
+ * Converts a level name or value to a level value.
+ * @param {string|number} level The level name, case insensitive, or value.
+ * @returns {number} The level value.
+ * @throws {TypeError} If the level is not valid.
+ */
+exports.parse = function(level) {
+  if (typeof level === 'number' && !isNaN(level)) {
+    return level;
+  }
+  var key = typeof level === 'string' ? level.toLowerCase() : null;
+  if (key === null || !Object.prototype.hasOwnProperty.call(values, key)) {
+    throw new TypeError('Invalid level: ' + level);
+  }
+  return values[key];
+};
+
+/**
+ * Converts a level value to a level name.
+ * @param {number} value The level value.
+ * @returns {string} The level name, or the value as a string if it has no name.
+ */
+exports.name = function(value) {
+  return names[value] || String(value);
+};
+
+/**
+ * Prints a line with the output method that matches its level: the method named after
+ * the level, if the output target has one, or else `log()` for `trace`, `debug` and
+ * `info`, `warn()` for `warn` and `error()` for `error` and `fatal`. A value without a
+ * name is printed as the nearest named level below it.
+ * @param {object} output The output target.
+ * @param {number} level The level value.
+ * @param {string} text The text to be printed.
+ */
+exports.print = function(output, level, text) {
+  var name = names[Math.min(Math.max(Math.floor(level / 10) * 10, values.trace),
+    values.fatal)];
+  var method = fallbacks[name];
+  if (name !== 'info' && typeof output[name] === 'function') {
+    method = name;
+  }
+  output[method](text);
+};
+
+exports.values = values;
@@ -0,0 +1,148 @@
+/**
+ * @file Messages enqueued in the message queue of a tracer.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module creates the messages kept in the message queue. A message
+ * holds the formatted text and the data needed to render it later: its type, the event
+ * that created it, its depth in the call tree and the frame it belongs to.
+ * @module trace-core/message
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Severity levels of trace messages.
+ * @requires trace-core/levels
+ */
+var levels = require('./levels');
+
+/**
+ * Wall clock time when this module was loaded, in milliseconds since the epoch, and the
+ * high-resolution time at the same moment, as returned by `process.hrtime()`. Together
+ * they give timestamps finer than `Date.now()`.
+ */
+var epoch = Date.now();
+var hrEpoch = process.hrtime();
+
+/**
+ * Gets the current time with microsecond resolution.
+ * @returns {number} The time in microseconds since the epoch.
+ */
+function now() {
+  var diff = process.hrtime(hrEpoch);
+  return epoch * 1e3 + diff[0] * 1e6 + diff[1] / 1e3;
+}
+
+/**
+ * Creates a message to be enqueued in the message queue.
+ * @constructor
+ * @param {number} type The message level: `TRACE`, `DEBUG`, `INFO` (or `LOG`), `WARN`,
+ * `ERROR` or `FATAL`.
+ * @param {string} kind The event that created the message: `log`, `enter` or `leave`.
+ * @param {string} text The formatted message, without the `enter()` and `leave()`
+ * markers.
+ * @returns A message to be enqueued in the message queue with the given data.
+ */
+function Message(type, kind, text) {
+  /** Next message in the queue. */
+  this.next = null;
+  /** Sequence number, unique in its tracer. Set when enqueued. */
+  this.seq = 0;
+  /** Creation time, in milliseconds since the epoch. */
+  this.time = Date.now();
+  /** High-resolution creation time, in microseconds since the epoch. */
+  this.ts = now();
+  /** Id of the async chain that created the message. Set when enqueued. */
+  this.chain = 0;
+  /** Id of the worker thread that created the message, or zero for the main thread. */
+  this.thread = 0;
+  /** Indent level. Set when enqueued. */
+  this.depth = 0;
+  /** Namespace of the tracer that created the message, or `null`. Set when enqueued. */
+  this.namespace = null;
+  /** Message level. */
+  this.type = type;
+  /** Event that created the message. */
+  this.kind = kind;
+  /** Formatted message. */
+  this.text = text;
+  /** Name of the frame opened by `enter()` or closed by `leave()`. */
+  this.name = null;
+  /** Time spent in the frame closed by `leave()`, in milliseconds, or `null`. */
+  this.elapsed = null;
+  /**
+   * Path of the frames open when the message was written by `warn()`, `error()` or
+   * `fatal()`, e.g. `main > factorial`, or `null`. Set when enqueued.
+   */
+  this.path = null;
+  /** Arguments passed to `util.format()`, if kept by the tracer. */
+  this.args = null;
+}
+
+/** Tracing message level. */
+Message.prototype.TRACE = levels.values.trace;
+/** Debugging message level. */
+Message.prototype.DEBUG = levels.values.debug;
+/** Informational message level. */
+Message.prototype.INFO = levels.values.info;
+/** Informational message level, an alias for `INFO`. */
+Message.prototype.LOG = levels.values.info;
+/** Warning message level. */
+Message.prototype.WARN = levels.values.warn;
+/** Error message level. */
+Message.prototype.ERROR = levels.values.error;
+/** Fatal error message level. */
+Message.prototype.FATAL = levels.values.fatal;
+
+/**
+ * Gets the track of the message: its async chain, in its thread. The messages of a
+ * track are laid out together by the renderers.
+ * @returns {string} The track name, e.g. `chain 2`, or `thread 1 chain 2` for a message
+ * forwarded by a worker thread. See `threads`.
+ */
+Message.prototype.track = function() {
+  return (this.thread !== 0 ? 'thread ' + this.thread + ' ' : '') + 'chain ' + this.chain;
+};
+
+/**
+ * Converts the message to a plain object.
+ * @param {boolean} [withArgs=false] Whether the format arguments are included.
+ * @returns {object} An object with the `seq`, `time` (ISO 8601), `pid`, `chain`,
+ * `namespace`, `level`, `depth`, `kind`, `name`, `message` and `elapsed` properties of
+ * the message, `thread` if created by a worker thread, `path` if set, and `args` if
+ * requested and kept.
+ */
+Message.prototype.toRecord = function(withArgs) {
+  var record = {
+    seq: this.seq,
+    time: new Date(this.time).toISOString(),
+    pid: process.pid,
+    chain: this.chain,
+    namespace: this.namespace,
+    level: levels.name(this.type),
+    depth: this.depth,
+    kind: this.kind,
+    name: this.name,
+    message: this.text,
+    elapsed: this.elapsed
+  };
+  if (this.thread !== 0) {
+    record.thread = this.thread;
+  }
+  if (this.path !== null) {
+    record.path = this.path;
+  }
+  if (withArgs && this.args) {
+    record.args = this.args;
+  }
+  return record;
+};
+
+module.exports = Message;
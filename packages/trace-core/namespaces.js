@@ -0,0 +1,83 @@
+/**
+ * @file Enables and disables tracer namespaces with wildcard patterns.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module creates filters from pattern lists like `db:*,-db:pool,http`,
+ * in the style of the `debug` module. Patterns are separated by commas or spaces, `*`
+ * matches any sequence of characters, and a pattern starting with `-` disables the
+ * namespaces it matches, even if another pattern enables them.
+ * @module trace-core/namespaces
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Converts a pattern to a regular expression.
+ * @param {string} pattern The pattern, without the leading `-`.
+ * @returns {RegExp} A regular expression that matches the whole namespace.
+ */
+function compile(pattern) {
+  var source = pattern.replace(/[|\\{}()[\]^$+?.]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp('^' + source + '$');
+}
+
+/**
+ * Creates a namespace filter.
+ * @constructor
+ * @param {string} [patterns] The pattern list. If empty or not given, every namespace
+ * is enabled.
+ */
+function Filter(patterns) {
+  /** Pattern list. */
+  this.patterns = patterns || '';
+  /** Regular expressions of the enabling patterns. */
+  this.names = [];
+  /** Regular expressions of the disabling patterns. */
+  this.skips = [];
+  var list = this.patterns.split(/[\s,]+/);
+  for (var i = 0; i < list.length; ++i) {
+    if (list[i] === '' || list[i] === '-') {
+      continue;
+    }
+    if (list[i].charAt(0) === '-') {
+      this.skips.push(compile(list[i].slice(1)));
+    } else {
+      this.names.push(compile(list[i]));
+    }
+  }
+  /** Whether the pattern list is empty, which enables every namespace. */
+  this.all = this.names.length === 0 && this.skips.length === 0;
+}
+
+/**
+ * Checks if a namespace is enabled.
+ * @param {string} name The namespace.
+ * @returns {boolean} `true` if no disabling pattern matches the namespace and either an
+ * enabling pattern matches it or the pattern list is empty.
+ */
+Filter.prototype.enabled = function(name) {
+  if (this.all) {
+    return true;
+  }
+  var i;
+  for (i = 0; i < this.skips.length; ++i) {
+    if (this.skips[i].test(name)) {
+      return false;
+    }
+  }
+  for (i = 0; i < this.names.length; ++i) {
+    if (this.names[i].test(name)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+exports.Filter = Filter;
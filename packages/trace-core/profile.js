@@ -0,0 +1,178 @@
+/**
+ * @file Collects timing statistics of the frames opened by `enter()`.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module creates a profile that accumulates, per frame name, the call
+ * count, total time, self time, minimum, maximum and mean time of the frames closed by
+ * `leave()`, and formats them as a table.
+ * @module trace-core/profile
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Concatenates a number of copies of a given string.
+ * @param {string} str The string to be repeated.
+ * @param {number} count An integer indicating the number of times to repeat `str`.
+ * @returns {string} A new string containing the specified number of copies of the given
+ * string.
+ */
+function repeat(str, count) {
+  return new Array(count + 1).join(str);
+}
+
+/**
+ * Pads a string with spaces on the left up to a given width.
+ * @param {string} str The string to be padded.
+ * @param {number} width The width of the result.
+ * @returns {string} The padded string.
+ */
+function padLeft(str, width) {
+  return str.length < width ? repeat(' ', width - str.length) + str : str;
+}
+
+/**
+ * Pads a string with spaces on the right up to a given width.
+ * @param {string} str The string to be padded.
+ * @param {number} width The width of the result.
+ * @returns {string} The padded string.
+ */
+function padRight(str, width) {
+  return str.length < width ? str + repeat(' ', width - str.length) : str;
+}
+
+/**
+ * Formats a duration.
+ * @param {number} ms The duration in milliseconds.
+ * @returns {string} The duration in milliseconds, with two decimals and the `ms` unit.
+ */
+function formatDuration(ms) {
+  return ms.toFixed(2) + 'ms';
+}
+
+/**
+ * Creates the statistics of one frame name.
+ * @constructor
+ * @param {string} name The frame name.
+ */
+function Entry(name) {
+  /** Frame name. */
+  this.name = name;
+  /** Number of calls. */
+  this.count = 0;
+  /** Time spent in the outermost calls, so recursive calls are not counted twice. */
+  this.total = 0;
+  /** Time spent in the calls, not counting the time of their child frames. */
+  this.self = 0;
+  /** Sum of the time spent in each call, used to compute the mean. */
+  this.sum = 0;
+  /** Minimum time of one call. */
+  this.min = Infinity;
+  /** Maximum time of one call. */
+  this.max = 0;
+}
+
+/**
+ * Creates an empty profile.
+ * @constructor
+ */
+function Profile() {
+  /** Statistics indexed by frame name. */
+  this.entries = Object.create(null);
+  /** Number of frame names. */
+  this.length = 0;
+}
+
+/**
+ * Adds one call to the profile.
+ * @param {string} name The frame name.
+ * @param {number} elapsed The time spent in the call, in milliseconds.
+ * @param {number} self The time spent in the call not counting its child frames, in
+ * milliseconds.
+ * @param {boolean} outermost Whether the call is not nested in another call with the
+ * same name.
+ */
+Profile.prototype.add = function(name, elapsed, self, outermost) {
+  var entry = this.entries[name];
+  if (!entry) {
+    entry = this.entries[name] = new Entry(name);
+    ++this.length;
+  }
+  ++entry.count;
+  if (outermost) {
+    entry.total += elapsed;
+  }
+  entry.self += self;
+  entry.sum += elapsed;
+  if (elapsed < entry.min) {
+    entry.min = elapsed;
+  }
+  if (elapsed > entry.max) {
+    entry.max = elapsed;
+  }
+};
+
+/**
+ * Gets the statistics of the profile, sorted by total time in descending order.
+ * @returns {object[]} One object per frame name, with the `name`, `calls`, `total`,
+ * `self`, `min`, `max` and `mean` properties. Times are in milliseconds.
+ */
+Profile.prototype.toRecords = function() {
+  var entries = [];
+  for (var name in this.entries) {
+    entries.push(this.entries[name]);
+  }
+  entries.sort(function(a, b) {
+    return b.total - a.total;
+  });
+  return entries.map(function(entry) {
+    return {
+      name: entry.name,
+      calls: entry.count,
+      total: entry.total,
+      self: entry.self,
+      min: entry.min,
+      max: entry.max,
+      mean: entry.sum / entry.count
+    };
+  });
+};
+
+/**
+ * Formats the profile as a table, sorted by total time in descending order.
+ * @returns {string[]} The lines of the table, including a header line.
+ */
+Profile.prototype.format = function() {
+  var headers = ['name', 'calls', 'total', 'self', 'min', 'max', 'mean'];
+  var rows = this.toRecords().map(function(record) {
+    return [
+      record.name,
+      String(record.calls),
+      formatDuration(record.total),
+      formatDuration(record.self),
+      formatDuration(record.min),
+      formatDuration(record.max),
+      formatDuration(record.mean)
+    ];
+  });
+  var widths = headers.map(function(header, col) {
+    return rows.reduce(function(width, row) {
+      return Math.max(width, row[col].length);
+    }, header.length);
+  });
+  return [headers].concat(rows).map(function(row) {
+    return row.map(function(cell, col) {
+      return col === 0 ? padRight(cell, widths[col]) : padLeft(cell, widths[col]);
+    }).join('  ');
+  });
+};
+
+exports.Profile = Profile;
+exports.formatDuration = formatDuration;
@@ -0,0 +1,219 @@
+/**
+ * @file Masks sensitive values before trace messages are formatted.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module copies the arguments of trace messages with the values of
+ * sensitive keys, like `password` or `authorization`, replaced by a mask, and with the
+ * parts of strings that look like secrets, like card numbers or JSON Web Tokens, masked
+ * too. Nested objects and arrays are copied as well; the originals are not changed.
+ * @module trace-core/redact
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Formats the arguments of trace messages with configurable inspect options.
+ * @requires trace-core/inspect
+ */
+var inspect = require('./inspect');
+
+/**
+ * Default patterns of the sensitive keys.
+ */
+var defaultKeys = [
+  /pass(word|wd|phrase)?$/i, /secret/i, /token/i, /authorization/i, /cookie/i,
+  /api[-_]?key/i, /credential/i, /private[-_]?key/i, /session[-_]?id/i
+];
+
+/**
+ * Default patterns of the sensitive parts of strings: card numbers, JSON Web Tokens and
+ * bearer tokens. Card numbers are masked only if their check digit is valid.
+ */
+var defaultValues = [
+  /\b(?:\d[ -]?){12,18}\d\b/g,
+  /\beyJ[\w-]*\.[\w-]*\.[\w-]*/g,
+  /\bBearer\s+[\w.~+/-]+=*/gi
+];
+
+/**
+ * Own properties of an error that are copied even if they are not enumerable.
+ */
+var errorKeys = ['message', 'stack', 'cause', 'errors'];
+
+/**
+ * Checks a card number with the Luhn algorithm.
+ * @param {string} str The card number, possibly with spaces or dashes.
+ * @returns {boolean} `true` if the check digit is valid.
+ */
+function luhn(str) {
+  var digits = str.replace(/\D/g, '');
+  var sum = 0;
+  for (var i = 0; i < digits.length; ++i) {
+    var digit = digits.charCodeAt(digits.length - 1 - i) - 48;
+    if (i % 2 === 1) {
+      digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Converts a key pattern to a regular expression.
+ * @param {string|RegExp} pattern The pattern. A string matches the keys that contain it,
+ * case insensitive.
+ * @returns {RegExp} The regular expression.
+ */
+function keyRegex(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  return new RegExp(String(pattern).replace(/[|\\{}()[\]^$+*?.]/g, '\\$&'), 'i');
+}
+
+/**
+ * Converts a value pattern to a global regular expression.
+ * @param {RegExp} pattern The pattern.
+ * @returns {RegExp} The pattern, or a global copy of it.
+ */
+function valueRegex(pattern) {
+  if (!(pattern instanceof RegExp)) {
+    throw new TypeError('Invalid value pattern: ' + pattern);
+  }
+  return pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + 'g');
+}
+
+/**
+ * Creates a redactor.
+ * @constructor
+ * @param {object} [options] The redaction options.
+ * @param {Array.<string|RegExp>} [options.keys] Patterns of the sensitive keys. A string
+ * matches the keys that contain it, case insensitive. The default matches keys like
+ * `password`, `secret`, `token`, `authorization`, `cookie` and `apiKey`.
+ * @param {RegExp[]} [options.values] Patterns of the sensitive parts of strings. The
+ * default matches card numbers, JSON Web Tokens and bearer tokens.
+ * @param {function} [options.redactor] A custom redactor, called with each value, its key
+ * (`null` for message arguments) and its path, e.g. `user.cards.0`. It returns the value
+ * to be used instead, or `undefined` to apply the patterns.
+ * @param {string} [options.mask='[REDACTED]'] The text that replaces sensitive values.
+ */
+function Redactor(options) {
+  options = options || {};
+  /** Patterns of the sensitive keys. */
+  this.keys = (options.keys || defaultKeys).map(keyRegex);
+  /** Patterns of the sensitive parts of strings. */
+  this.values = (options.values || defaultValues).map(valueRegex);
+  /** Custom redactor, or `null`. */
+  this.redactor = options.redactor || null;
+  /** Text that replaces sensitive values. */
+  this.mask = options.mask !== undefined ? String(options.mask) : '[REDACTED]';
+}
+
+/**
+ * Masks the sensitive parts of a string.
+ * @param {string} str The string.
+ * @returns {string} The string with each part matched by a value pattern replaced by the
+ * mask.
+ */
+Redactor.prototype.string = function(str) {
+  var mask = this.mask;
+  for (var i = 0; i < this.values.length; ++i) {
+    var card = this.values[i] === defaultValues[0];
+    str = str.replace(this.values[i], function(match) {
+      return card && !luhn(match) ? match : mask;
+    });
+  }
+  return str;
+};
+
+/**
+ * Copies a value with its sensitive values masked.
+ * @param {any} value The value.
+ * @param {string} key The key of the value, or `null`.
+ * @param {string} path The path of the value, e.g. `user.cards.0`.
+ * @param {Array[]} seen The objects being copied and their copies, to copy cycles.
+ * @returns {any} The copy, or the value itself if it needs no copy.
+ */
+Redactor.prototype.value = function(value, key, path, seen) {
+  if (this.redactor) {
+    var custom = this.redactor(value, key, path);
+    if (custom !== undefined) {
+      return custom;
+    }
+  }
+  if (key !== null) {
+    for (var i = 0; i < this.keys.length; ++i) {
+      if (this.keys[i].test(key)) {
+        return this.mask;
+      }
+    }
+  }
+  if (typeof value === 'string') {
+    return this.string(value);
+  }
+  var isArray = Array.isArray(value);
+  var isError = value instanceof Error;
+  if (!isArray && !isError && !inspect.isRecord(value)) {
+    return value;
+  }
+  for (var j = 0; j < seen.length; ++j) {
+    if (seen[j][0] === value) {
+      return seen[j][1];
+    }
+  }
+  var copy = isArray ? [] : Object.create(Object.getPrototypeOf(value));
+  seen.push([value, copy]);
+  if (isError) {
+    this.error(value, copy, path, seen);
+  }
+  var keys = Object.keys(value);
+  for (var k = 0; k < keys.length; ++k) {
+    copy[keys[k]] = this.value(value[keys[k]], keys[k],
+      path === null ? keys[k] : path + '.' + keys[k], seen);
+  }
+  return copy;
+};
+
+/**
+ * Copies the properties of an error that are usually not enumerable: its message and
+ * stack, masked like any string, and its `cause` and aggregated `errors`, copied like any
+ * value. They are not enumerable in the copy either, so it is rendered like the original.
+ * @param {Error} error The error.
+ * @param {Error} copy The copy, with the prototype of the error.
+ * @param {string} path The path of the error, e.g. `user.cards.0`.
+ * @param {Array[]} seen The objects being copied and their copies, to copy cycles.
+ */
+Redactor.prototype.error = function(error, copy, path, seen) {
+  for (var i = 0; i < errorKeys.length; ++i) {
+    var key = errorKeys[i];
+    if (Object.prototype.hasOwnProperty.call(error, key)) {
+      Object.defineProperty(copy, key, {
+        value: this.value(error[key], key, path === null ? key : path + '.' + key, seen),
+        writable: true,
+        configurable: true
+      });
+    }
+  }
+};
+
+/**
+ * Copies the arguments of a message with their sensitive values masked.
+ * @param {arguments} args The arguments.
+ * @returns {any[]} The copy of the arguments.
+ */
+Redactor.prototype.args = function(args) {
+  var result = [];
+  for (var i = 0; i < args.length; ++i) {
+    result.push(this.value(args[i], null, null, []));
+  }
+  return result;
+};
+
+exports.Redactor = Redactor;
@@ -0,0 +1,87 @@
+/**
+ * @file Samples the frames of a tracer by name.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module decides which frames of hot functions are recorded: one in
+ * every N calls, or at most K calls per second, with a rule per frame name.
+ * @module trace-core/sampling
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Parses a sampling rule.
+ * @param {number|string} rule A number N to record one in every N calls, or a string
+ * `K/s` to record at most K calls per second.
+ * @returns {object} The rule state, with `every` or `perSecond` set.
+ * @throws {TypeError} If the rule is not valid.
+ */
+function parse(rule) {
+  var match = typeof rule === 'string' ? /^\s*(\d+)\s*\/\s*s(ec)?\s*$/.exec(rule) : null;
+  if (match) {
+    return { every: 0, perSecond: parseInt(match[1], 10), count: 0, window: 0 };
+  }
+  var every = typeof rule === 'string' ? Number(rule) : rule;
+  if (typeof every !== 'number' || !(every >= 1) || Math.floor(every) !== every) {
+    throw new TypeError('Invalid sampling rule: ' + rule);
+  }
+  return { every: every, perSecond: 0, count: 0, window: 0 };
+}
+
+/**
+ * Creates a sampler.
+ * @constructor
+ * @param {object} rules The sampling rules, indexed by frame name. See `parse()`. The
+ * rule named `*` applies to the frames without a rule of their own.
+ */
+function Sampler(rules) {
+  /** Rule states, indexed by frame name. */
+  this.rules = Object.create(null);
+  /** Rule of the frames without a rule of their own, used as a template, or `null`. */
+  this.fallback = null;
+  for (var name in rules) {
+    if (Object.prototype.hasOwnProperty.call(rules, name)) {
+      if (name === '*') {
+        this.fallback = parse(rules[name]);
+      } else {
+        this.rules[name] = parse(rules[name]);
+      }
+    }
+  }
+}
+
+/**
+ * Decides if a call is recorded. Each frame name has its own count, even if it uses the
+ * `*` rule.
+ * @param {string} name The frame name.
+ * @returns {boolean} `true` if the call is recorded: it is the first of every N calls,
+ * or one of the first K calls in the current second.
+ */
+Sampler.prototype.sample = function(name) {
+  var rule = this.rules[name];
+  if (!rule) {
+    if (!this.fallback) {
+      return true;
+    }
+    rule = this.rules[name] = parse(this.fallback.every ||
+      this.fallback.perSecond + '/s');
+  }
+  if (rule.every) {
+    return rule.count++ % rule.every === 0;
+  }
+  var now = Date.now();
+  if (now - rule.window >= 1000) {
+    rule.window = now;
+    rule.count = 0;
+  }
+  return rule.count++ < rule.perSecond;
+};
+
+exports.Sampler = Sampler;
@@ -0,0 +1,249 @@
+/**
+ * @file Output targets for tracers: files, streams and custom writers.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module creates sinks: output targets with `log()`, `warn()` and
+ * `error()` methods, each taking the text of one message. Sinks write synchronously
+ * whenever possible, because the message queue is usually flushed when the process
+ * ends, and asynchronous writes started at that moment never complete.
+ * @module trace-core/sinks
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * The `fs` module provides an API for interacting with the file system.
+ * @requires fs
+ * https://nodejs.org/api/fs.html
+ */
+var fs = require('fs');
+
+/**
+ * Creates a sink that writes messages to a file.
+ * @constructor
+ * @param {string} path The file path.
+ * @param {object} [options] The sink options.
+ * @param {string} [options.mode='append'] `append` to keep the current contents of the
+ * file, or `truncate` to discard them when the file is opened.
+ * @param {number} [options.maxSize=0] Maximum file size in bytes. When a message would
+ * make the file grow beyond this size, the file is rotated. Zero disables rotation.
+ * @param {number} [options.maxFiles=1] Number of rotated files kept. On rotation, `path`
+ * is renamed to `path.1`, `path.1` to `path.2` and so on, and the oldest file is
+ * discarded.
+ * @description The file is opened on the first write, and all writes are synchronous.
+ */
+function FileSink(path, options) {
+  options = options || {};
+  if (options.mode && options.mode !== 'append' && options.mode !== 'truncate') {
+    throw new TypeError('Invalid file sink mode: ' + options.mode);
+  }
+  /** File path. */
+  this.path = path;
+  /** Flags used to open the file for the first time. */
+  this.flags = options.mode === 'truncate' ? 'w' : 'a';
+  /** Maximum file size in bytes, or zero. */
+  this.maxSize = options.maxSize > 0 ? options.maxSize : 0;
+  /** Number of rotated files kept. */
+  this.maxFiles = options.maxFiles > 0 ? options.maxFiles : 1;
+  /** File descriptor, or `null` if the file is not open. */
+  this.fd = null;
+  /** Current file size in bytes. */
+  this.size = 0;
+}
+
+/**
+ * Opens the file, if not already open.
+ */
+FileSink.prototype.open = function() {
+  if (this.fd === null) {
+    this.fd = fs.openSync(this.path, this.flags);
+    this.size = fs.fstatSync(this.fd).size;
+    // Reopening after close or rotation must not discard what was written.
+    this.flags = 'a';
+  }
+};
+
+/**
+ * Closes the file, if open.
+ */
+FileSink.prototype.close = function() {
+  if (this.fd !== null) {
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+};
+
+/**
+ * Closes the file, shifts the rotated files and renames the file to `path.1`. The file
+ * is reopened, empty, by the next write.
+ */
+FileSink.prototype.rotate = function() {
+  this.close();
+  for (var i = this.maxFiles - 1; i >= 1; --i) {
+    if (fs.existsSync(this.path + '.' + i)) {
+      fs.renameSync(this.path + '.' + i, this.path + '.' + (i + 1));
+    }
+  }
+  fs.renameSync(this.path, this.path + '.1');
+};
+
+/**
+ * Writes a message to the file, followed by a newline.
+ * @param {string} text The text of the message.
+ */
+FileSink.prototype.write = function(text) {
+  var data = text + '\n';
+  var length = Buffer.byteLength(data);
+  this.open();
+  if (this.maxSize && this.size > 0 && this.size + length > this.maxSize) {
+    this.rotate();
+    this.open();
+  }
+  fs.writeSync(this.fd, data);
+  this.size += length;
+};
+
+/** Writes an informational message. */
+FileSink.prototype.log = FileSink.prototype.write;
+/** Writes a warning message. */
+FileSink.prototype.warn = FileSink.prototype.write;
+/** Writes an error message. */
+FileSink.prototype.error = FileSink.prototype.write;
+/** Closes the file after the message queue is flushed. */
+FileSink.prototype.flush = FileSink.prototype.close;
+
+/**
+ * Creates a sink that writes messages to a writable stream.
+ * @constructor
+ * @param {stream.Writable} stream The stream.
+ * @description If the stream has an open file descriptor, like `process.stdout` or an
+ * `fs.WriteStream` after its `open` event, the messages are written synchronously to the
+ * descriptor. Otherwise, they are passed to `stream.write()`, which may complete after
+ * the process ends.
+ */
+function StreamSink(stream) {
+  /** Stream. */
+  this.stream = stream;
+}
+
+/**
+ * Writes a message to the stream, followed by a newline.
+ * @param {string} text The text of the message.
+ */
+StreamSink.prototype.write = function(text) {
+  var fd = this.stream.fd;
+  if (typeof fd === 'number' && fd >= 0) {
+    fs.writeSync(fd, text + '\n');
+  } else {
+    this.stream.write(text + '\n');
+  }
+};
+
+/** Writes an informational message. */
+StreamSink.prototype.log = StreamSink.prototype.write;
+/** Writes a warning message. */
+StreamSink.prototype.warn = StreamSink.prototype.write;
+/** Writes an error message. */
+StreamSink.prototype.error = StreamSink.prototype.write;
+
+/**
+ * Creates a sink that passes messages to a function.
+ * @constructor
+ * @param {function} fn The function, called with the text of the message and its type:
+ * `trace`, `debug`, `log`, `warn`, `error` or `fatal`.
+ */
+function FunctionSink(fn) {
+  /** Writer function. */
+  this.fn = fn;
+}
+
+/**
+ * Passes a tracing message to the writer function.
+ * @param {string} text The text of the message.
+ */
+FunctionSink.prototype.trace = function(text) {
+  this.fn(text, 'trace');
+};
+
+/**
+ * Passes a debugging message to the writer function.
+ * @param {string} text The text of the message.
+ */
+FunctionSink.prototype.debug = function(text) {
+  this.fn(text, 'debug');
+};
+
+/**
+ * Passes an informational message to the writer function.
+ * @param {string} text The text of the message.
+ */
+FunctionSink.prototype.log = function(text) {
+  this.fn(text, 'log');
+};
+
+/**
+ * Passes a warning message to the writer function.
+ * @param {string} text The text of the message.
+ */
+FunctionSink.prototype.warn = function(text) {
+  this.fn(text, 'warn');
+};
+
+/**
+ * Passes an error message to the writer function.
+ * @param {string} text The text of the message.
+ */
+FunctionSink.prototype.error = function(text) {
+  this.fn(text, 'error');
+};
+
+/**
+ * Passes a fatal error message to the writer function.
+ * @param {string} text The text of the message.
+ */
+FunctionSink.prototype.fatal = function(text) {
+  this.fn(text, 'fatal');
+};
+
+/**
+ * Creates a sink from the `output` option of a tracer.
+ * @param {string|function|object} output One of:
+ * - a file path, for a `FileSink` in `append` mode;
+ * - a function, for a `FunctionSink`;
+ * - a writable stream, for a `StreamSink`;
+ * - an object with a `path` property, for a `FileSink` using the object as its options;
+ * - an object with `log()`, `warn()` and `error()` methods, and optionally `trace()`,
+ *   `debug()` and `fatal()`, used as is.
+ * @returns {object} The sink.
+ */
+exports.createSink = function(output) {
+  if (typeof output === 'string') {
+    return new FileSink(output);
+  }
+  if (typeof output === 'function') {
+    return new FunctionSink(output);
+  }
+  if (output && typeof output.write === 'function' && typeof output.log !== 'function') {
+    return new StreamSink(output);
+  }
+  if (output && typeof output.path === 'string' && typeof output.log !== 'function') {
+    return new FileSink(output.path, output);
+  }
+  if (output && typeof output.log === 'function' && typeof output.warn === 'function' &&
+    typeof output.error === 'function') {
+    return output;
+  }
+  throw new TypeError('Invalid output: expected a file path, a function, a writable ' +
+    'stream or an object with log(), warn() and error() methods');
+};
+
+exports.FileSink = FileSink;
+exports.StreamSink = StreamSink;
+exports.FunctionSink = FunctionSink;
@@ -0,0 +1,182 @@
+/**
+ * @file Captures trace messages in tests and compares them with expected text.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module runs code against a tracer that keeps its messages in
+ * memory, and returns them as records whose timestamps and durations are normalized, so
+ * they can be compared with expected values or golden text in tests.
+ * @module trace-core/testing
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * The `assert` module provides a simple set of assertion tests that can be used to test
+ * invariants.
+ * @requires assert
+ * https://nodejs.org/api/assert.html
+ */
+var assert = require('assert');
+
+/**
+ * Creates independent tracers that print trace messages using lazy write.
+ * @requires trace-core
+ */
+var core = require('./index');
+
+/**
+ * Renders the message queue of a tracer as indented text.
+ * @requires trace-core/text
+ */
+var text = require('./text');
+
+/**
+ * Output target that discards everything. Captured messages are never printed.
+ */
+function nullOutput() {
+}
+
+/**
+ * Replaces the values of a record that change from run to run: `time` is set to the
+ * epoch, `pid` to zero and `elapsed`, if known, to zero.
+ * @param {object} record The record, as returned by `Tracer.prototype.snapshot()`.
+ * @returns {object} The record.
+ */
+function normalize(record) {
+  record.time = new Date(0).toISOString();
+  record.pid = 0;
+  if (record.elapsed !== null) {
+    record.elapsed = 0;
+  }
+  return record;
+}
+
+/**
+ * Runs a function against a new tracer that keeps its messages in memory.
+ * @param {function} fn The function. It receives the tracer and can be async.
+ * @param {object} [options] The tracer options. See `Tracer` for details. `output` and
+ * `showOnExit` are ignored. The tracer does not read the environment: `level` is `trace`,
+ * `namespaces` is empty and `threads` is `false` by default, and `timing` too.
+ * @returns {object[]|Promise} The records of the messages, normalized, or, if `fn`
+ * returns a promise, a promise of them. Frames still open when `fn` ends are reported
+ * by a warning record, as at exit. If `fn` throws or rejects, so does this function.
+ * @example
+ * var records = await captureTrace(function(trace) {
+ *   return fetchUser(trace, 42);
+ * });
+ */
+function captureTrace(fn, options) {
+  var settings = { timing: false, level: 'trace', namespaces: '', threads: false };
+  for (var key in options) {
+    if (Object.prototype.hasOwnProperty.call(options, key)) {
+      settings[key] = options[key];
+    }
+  }
+  settings.output = nullOutput;
+  settings.showOnExit = false;
+  var tracer = core.createTracer(settings);
+  var collect = function() {
+    tracer.reportOpenFrames();
+    return tracer.snapshot().map(normalize);
+  };
+  var result = fn(tracer);
+  if (result && typeof result.then === 'function') {
+    return result.then(collect);
+  }
+  return collect();
+}
+
+/**
+ * Gets the track of a record: its async chain, in its thread.
+ * @param {object} record The record.
+ * @returns {string} The track name, e.g. `chain 2`. See `Message.prototype.track()`.
+ */
+function track(record) {
+  return (record.thread ? 'thread ' + record.thread + ' ' : '') + 'chain ' + record.chain;
+}
+
+/**
+ * Renders records as indented text, like the `text` format without its header line,
+ * and without elapsed times. As in that format, if more than one async chain wrote
+ * records, the records of each chain are rendered together, after a line like
+ * `--- chain 1 ---`, in the order the chains first wrote.
+ * @param {object[]} records The records, as returned by `captureTrace()`.
+ * @param {number} [indentSize=2] Number of spaces in an indent.
+ * @returns {string} The lines of text, separated by newlines.
+ */
+function renderTree(records, indentSize) {
+  indentSize = indentSize > 0 ? indentSize : 2;
+  var tracks = [];
+  var groups = {};
+  for (var i = 0; i < records.length; ++i) {
+    var name = track(records[i]);
+    if (!groups[name]) {
+      tracks.push(name);
+      groups[name] = [];
+    }
+    groups[name].push(records[i]);
+  }
+  var lines = [];
+  for (var j = 0; j < tracks.length; ++j) {
+    if (tracks.length > 1) {
+      lines.push('--- ' + tracks[j] + ' ---');
+    }
+    var group = groups[tracks[j]];
+    for (var k = 0; k < group.length; ++k) {
+      var record = group[k];
+      var line = text.format({
+        kind: record.kind,
+        text: record.message,
+        name: record.name,
+        elapsed: null,
+        namespace: record.namespace
+      }, indentSize);
+      lines.push(new Array(record.depth * indentSize + 1).join(' ') + line);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Removes the blank lines at the beginning and at the end of a text, and the
+ * indentation common to its lines, so golden text can be written as an indented
+ * template literal.
+ * @param {string} str The text.
+ * @returns {string} The text without the common indentation.
+ */
+function dedent(str) {
+  var lines = str.replace(/^\s*\n/, '').replace(/\n\s*$/, '').split('\n');
+  var width = Infinity;
+  for (var i = 0; i < lines.length; ++i) {
+    if (lines[i].trim() !== '') {
+      width = Math.min(width, lines[i].match(/^ */)[0].length);
+    }
+  }
+  return lines.map(function(line) {
+    return line.slice(width === Infinity ? 0 : width);
+  }).join('\n');
+}
+
+/**
+ * Asserts that records render as the expected text. See `renderTree()`.
+ * @param {object[]} records The records, as returned by `captureTrace()`.
+ * @param {string} expected The expected text. Blank lines at its beginning and at its
+ * end, and the indentation common to its lines, are ignored.
+ * @param {number} [indentSize=2] Number of spaces in an indent.
+ * @throws {AssertionError} If the rendered text is not the expected text.
+ */
+function assertTrace(records, expected, indentSize) {
+  assert.strictEqual(renderTree(records, indentSize), dedent(expected));
+}
+
+exports.captureTrace = captureTrace;
+exports.normalize = normalize;
+exports.renderTree = renderTree;
+exports.assertTrace = assertTrace;
@@ -0,0 +1,196 @@
+/**
+ * @file Renders the message queue of a tracer as indented text.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module renders messages as lines of text, indented by their depth.
+ * Messages created by `enter()` start with `>`, and messages created by `leave()` start
+ * with `<` followed by the frame name. This is the default format of the tracers.
+ * @module trace-core/text
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Messages enqueued in the message queue of a tracer.
+ * @requires trace-core/message
+ */
+var Message = require('./message');
+
+/**
+ * Collects timing statistics of the frames opened by `enter()`.
+ * @requires trace-core/profile
+ */
+var profile = require('./profile');
+
+/**
+ * Concatenates a number of copies of a given string.
+ * @param {string} str The string to be repeated.
+ * @param {number} count An integer indicating the number of times to repeat `str`.
+ * @returns {string} A new string containing the specified number of copies of the given
+ * string.
+ */
+function repeat(str, count) {
+  return new Array(count + 1).join(str);
+}
+
+/**
+ * Joins two strings into a new string, separated by one space.
+ * @param {string} str1 The first string.
+ * @param {string} str2 The second string.
+ * @returns {string} A new string containing the given strings separated by one space.
+ */
+function join2(str1, str2) {
+  var res;
+  if (str1) {
+    res = str2 ? str1 + ' ' + str2 : str1;
+  } else {
+    res = str2 === undefined || str2 === null ? '' : str2;
+  }
+  return res;
+}
+
+/**
+ * Formats an integer with commas as thousands separators.
+ * @param {number} count The integer to be formatted.
+ * @returns {string} The formatted integer, e.g. `12,345`.
+ */
+function formatCount(count) {
+  return String(count).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+/**
+ * Inserts indentation at beginning of a string.
+ * @param {string} indentation The indentation to be prepended.
+ * @param {string} text The string to indent.
+ * @returns {string} The given string prepended with the given indentation.
+ */
+function indent(indentation, text) {
+  if (indentation.length !== 0) {
+    if (text.indexOf('\n') !== -1) {
+      text = text.replace(/\n/g, '\n' + indentation);
+    }
+    text = indentation + text;
+  }
+  return text;
+}
+
+/**
+ * Formats the text of a message, without indentation.
+ * @param {Message} message The message.
+ * @param {number} indentSize Number of spaces in an indent.
+ * @returns {string} The text of the message, prepended with `>` if created by `enter()`,
+ * or with `<` and the frame name if created by `leave()`, in which case the elapsed time
+ * is appended, if known. If the message has a namespace, it is prepended in brackets.
+ */
+function format(message, indentSize) {
+  var text = message.text;
+  if (message.kind === 'enter') {
+    text = '>' + repeat(' ', indentSize - 1) + text;
+  } else if (message.kind === 'leave') {
+    text = '<' + repeat(' ', indentSize - 1) + join2(message.name, text);
+    if (message.elapsed !== null) {
+      text += ' (' + profile.formatDuration(message.elapsed) + ')';
+    }
+  }
+  if (message.namespace !== null) {
+    text = '[' + message.namespace + '] ' + text;
+  }
+  return text;
+}
+
+/**
+ * Renders a list of messages, indented by their depth.
+ * @param {Message[]} messages The messages.
+ * @param {number} indentSize Number of spaces in an indent.
+ * @param {object[]} lines The array that receives the lines.
+ */
+function renderMessages(messages, indentSize, lines) {
+  var indentwidth = 0;
+  var indentation = '';
+  for (var i = 0; i < messages.length; ++i) {
+    var curr = messages[i];
+    var width = curr.depth * indentSize;
+    if (width !== indentwidth) {
+      indentwidth = width;
+      indentation = repeat(' ', indentwidth);
+    }
+    lines.push({ type: curr.type, text: indent(indentation, format(curr, indentSize)) });
+  }
+}
+
+/**
+ * Renders the messages of a flushed queue as text, with the header, dropped messages,
+ * chain and profile lines of the `text` format, and the messages laid out by a given
+ * function.
+ * @param {object} batch The flushed queue. See `render()` for details.
+ * @param {function} renderGroup Renders the messages of one async chain. It has the same
+ * signature as `renderMessages()`.
+ * @returns {object[]} The lines to be printed, each one with `type` and `text`.
+ */
+function renderWith(batch, renderGroup) {
+  var lines = [];
+  var messages = batch.messages;
+  if (messages.length > 0) {
+    var tracks = [];
+    var groups = {};
+    for (var i = 0; i < messages.length; ++i) {
+      var track = messages[i].track();
+      if (!groups[track]) {
+        tracks.push(track);
+        groups[track] = [];
+      }
+      groups[track].push(messages[i]);
+    }
+    lines.push({ type: Message.prototype.LOG, text: repeat('-', 80) });
+    if (batch.dropped > 0) {
+      lines.push({
+        type: Message.prototype.LOG,
+        text: '... ' + formatCount(batch.dropped) + ' earlier message' +
+          (batch.dropped === 1 ? '' : 's') + ' dropped ...'
+      });
+    }
+    for (var j = 0; j < tracks.length; ++j) {
+      if (tracks.length > 1) {
+        lines.push({ type: Message.prototype.LOG, text: '--- ' + tracks[j] + ' ---' });
+      }
+      renderGroup(groups[tracks[j]], batch.indentSize, lines);
+    }
+  }
+  if (batch.profile && batch.profile.length > 0) {
+    lines.push({ type: Message.prototype.LOG, text: repeat('-', 80) });
+    var table = batch.profile.format();
+    for (var k = 0; k < table.length; ++k) {
+      lines.push({ type: Message.prototype.LOG, text: table[k] });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Renders the messages of a flushed queue as indented text.
+ * @param {object} batch The flushed queue.
+ * @param {Message[]} batch.messages The messages, in the order they were enqueued.
+ * @param {number} batch.dropped Number of earlier messages dropped from the queue.
+ * @param {Profile} [batch.profile] Timing statistics per frame name.
+ * @param {number} batch.indentSize Number of spaces in an indent.
+ * @returns {object[]} The lines to be printed, each one with `type` and `text`.
+ * @description A header line is rendered first. If messages were dropped, their number
+ * is rendered before the remaining messages. If more than one async chain wrote
+ * messages, the messages of each chain are rendered together, after a line with the
+ * chain id, in the order the chains first wrote. The chains of worker threads also have
+ * the thread id, e.g. `--- thread 1 chain 0 ---`. The profile table, if any, is rendered
+ * after the messages.
+ */
+exports.render = function(batch) {
+  return renderWith(batch, renderMessages);
+};
+
+exports.format = format;
+exports.renderWith = renderWith;
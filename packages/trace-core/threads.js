@@ -0,0 +1,260 @@
+/**
+ * @file Forwards the messages of worker threads to the tracer of the main thread.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module connects the tracers of the threads of a process through a
+ * `BroadcastChannel` named after the tracers. A tracer in a worker thread posts each
+ * message as soon as it is written, instead of enqueuing it, so nothing is lost when the
+ * worker terminates. Until the tracer of the same name in the main thread answers, it
+ * enqueues its messages, and posts them when it does, or shows them itself if it never
+ * does. The tracer in the main thread
+ * enqueues the messages it receives, tagged with the thread id, and shows them with its
+ * own messages, ordered by time or grouped by thread. The channels are unreferenced: they
+ * do not keep the threads alive.
+ * @module trace-core/threads
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * The `worker_threads` module enables the use of threads that execute JavaScript in
+ * parallel. It is not available in older Node.js versions.
+ * @requires worker_threads
+ * https://nodejs.org/api/worker_threads.html
+ */
+var workerThreads = null;
+try {
+  workerThreads = require('worker_threads');
+} catch (e) {
+  // Threads are not supported, so there is nothing to merge.
+}
+
+/**
+ * Messages enqueued in the message queue of a tracer.
+ * @requires trace-core/message
+ */
+var Message = require('./message');
+
+/**
+ * Prefix of the channel names. The rest is the name of the tracers it connects.
+ */
+var channelPrefix = 'trace-core:';
+
+/**
+ * Names of the channels with a receiver in this thread.
+ */
+var receivers = [];
+
+/**
+ * Maximum time, in milliseconds, that a forwarder waits for a receiver to answer before
+ * its messages are shown in its own thread.
+ */
+var answerTimeout = 100;
+
+/**
+ * Properties of a message copied to the main thread. The format arguments are not
+ * copied, because they may not be cloneable.
+ */
+var fields = [
+  'seq', 'time', 'ts', 'chain', 'depth', 'namespace', 'type', 'kind', 'text', 'name',
+  'elapsed', 'path'
+];
+
+/**
+ * Parses the `threads` option of a tracer.
+ * @param {boolean|string} value The option value: `true` or `time` to order the merged
+ * messages by time, `thread` to group them by thread, or a false value to disable the
+ * merge.
+ * @returns {string} The order, `time` or `thread`, or `null` if the merge is disabled.
+ * @throws {TypeError} If the value is not valid.
+ */
+function parse(value) {
+  if (!value || value === 'false' || value === '0') {
+    return null;
+  }
+  if (value === true || value === 'true' || value === '1' || value === 'time') {
+    return 'time';
+  }
+  if (value === 'thread') {
+    return 'thread';
+  }
+  throw new TypeError('Invalid threads option: ' + value);
+}
+
+/**
+ * Checks if threads can be merged in this Node.js version.
+ * @returns {boolean} `true` if `worker_threads` and its `BroadcastChannel` are available.
+ */
+function supported() {
+  return !!(workerThreads && workerThreads.BroadcastChannel);
+}
+
+/**
+ * Opens a channel in the current thread.
+ * @param {string} name The name of the tracers it connects.
+ * @returns {BroadcastChannel} The channel, unreferenced.
+ */
+function open(name) {
+  var channel = new workerThreads.BroadcastChannel(channelPrefix + name);
+  channel.unref();
+  return channel;
+}
+
+/**
+ * Creates a forwarder: the end of the channel in a worker thread. It asks for a receiver
+ * at once, and is connected when one answers, either to that or when it opens.
+ * @constructor
+ * @param {string} name The name of the tracers the channel connects.
+ * @param {function} connected Called once, when a receiver answers. Messages written
+ * before are not posted, so they can be posted then.
+ */
+function Forwarder(name, connected) {
+  var self = this;
+  /** Id of the worker thread. */
+  this.thread = workerThreads.threadId;
+  /** Whether a receiver answered. Only then are messages posted. */
+  this.connected = false;
+  /** Called when a receiver answers. */
+  this.callback = connected;
+  /** The channel. */
+  this.channel = open(name);
+  this.channel.onmessage = function(event) {
+    self.handle(event.data);
+  };
+  this.channel.postMessage({ control: 'ping' });
+}
+
+/**
+ * Handles a message of the channel. Only the answers of receivers matter: the messages
+ * of other forwarders, like their requests for a receiver, are ignored.
+ * @param {object} data The message data.
+ */
+Forwarder.prototype.handle = function(data) {
+  if (data.control === 'ready' && !this.connected) {
+    this.connected = true;
+    this.callback();
+  }
+};
+
+/**
+ * Waits for a receiver to answer, blocking the thread for up to 100 milliseconds. A
+ * short worker thread may end before the answer is handled, so the messages it enqueued
+ * are posted only when this returns `true`.
+ * @returns {boolean} Whether a receiver answered, now or before.
+ */
+Forwarder.prototype.wait = function() {
+  var cell = new global.Int32Array(new global.SharedArrayBuffer(4));
+  var deadline = Date.now() + answerTimeout;
+  while (!this.connected) {
+    var entry = workerThreads.receiveMessageOnPort(this.channel);
+    if (entry) {
+      this.handle(entry.message);
+    } else if (Date.now() < deadline) {
+      global.Atomics.wait(cell, 0, 0, 1);
+    } else {
+      break;
+    }
+  }
+  return this.connected;
+};
+
+/**
+ * Posts a message to the main thread. Must be called only when connected.
+ * @param {Message} message The message, with the properties set when enqueued.
+ */
+Forwarder.prototype.send = function(message) {
+  var data = { thread: this.thread };
+  for (var i = 0; i < fields.length; ++i) {
+    data[fields[i]] = message[fields[i]];
+  }
+  this.channel.postMessage(data);
+};
+
+/**
+ * Creates a receiver: the end of the channel in the main thread. It tells the forwarders
+ * that it is ready when it opens, and again to each one that asks.
+ * @constructor
+ * @param {string} name The name of the tracers the channel connects.
+ * @param {function} callback Called with each message received, as a new `Message`
+ * tagged with the thread id.
+ */
+function Receiver(name, callback) {
+  var channel = open(name);
+  /** The channel. */
+  this.channel = channel;
+  this.channel.onmessage = function(event) {
+    var data = event.data;
+    if (data.control !== undefined) {
+      if (data.control === 'ping') {
+        channel.postMessage({ control: 'ready' });
+      }
+      return;
+    }
+    var message = new Message(data.type, data.kind, data.text);
+    for (var i = 0; i < fields.length; ++i) {
+      message[fields[i]] = data[fields[i]];
+    }
+    message.thread = data.thread;
+    callback(message);
+  };
+  this.channel.postMessage({ control: 'ready' });
+}
+
+/**
+ * Connects a tracer to the tracers of the same name in the other threads. In the main
+ * thread, only one tracer of each name can receive their messages: the others are not
+ * connected, with a warning.
+ * @param {string} name The tracer name.
+ * @param {function} receive Called in the main thread with each message received.
+ * @param {function} connected Called in a worker thread when the main thread answers.
+ * @returns {object} A `Forwarder` in a worker thread, the only one with a `connected`
+ * property, a `Receiver` in the main thread, or `null` if threads are not supported or
+ * the name is taken.
+ */
+function connect(name, receive, connected) {
+  if (!supported()) {
+    return null;
+  }
+  if (!workerThreads.isMainThread) {
+    return new Forwarder(name, connected);
+  }
+  if (receivers.indexOf(name) !== -1) {
+    process.emitWarning('Another tracer named ' + name + ' merges the worker threads, ' +
+      'threads option ignored');
+    return null;
+  }
+  receivers.push(name);
+  return new Receiver(name, receive);
+}
+
+/**
+ * Orders the messages of the main thread and of the worker threads. Messages with the
+ * same key keep their relative order.
+ * @param {Message[]} messages The messages.
+ * @param {string} mode `time` to order them by high-resolution time, or `thread` to
+ * group them by thread id, with the main thread first.
+ * @returns {Message[]} A new array with the ordered messages.
+ */
+function order(messages, mode) {
+  var key = mode === 'thread' ? 'thread' : 'ts';
+  var indexed = messages.map(function(message, index) {
+    return { message: message, index: index };
+  });
+  indexed.sort(function(a, b) {
+    return a.message[key] - b.message[key] || a.index - b.index;
+  });
+  return indexed.map(function(item) {
+    return item.message;
+  });
+}
+
+exports.parse = parse;
+exports.connect = connect;
+exports.order = order;
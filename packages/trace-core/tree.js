@@ -0,0 +1,148 @@
+/**
+ * @file Renders the message queue of a tracer as a tree with box-drawing guides.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module renders messages like the `text` format, but draws guides
+ * instead of indenting with spaces: each message inside a frame is linked to the frame
+ * by `├─`, or by `└─` if it is the last one, which is the `leave` message when
+ * the frame was closed, and `│` continues the guide of a frame past its nested
+ * frames. ASCII guides (`+-`, `` `- `` and `|`) are used when the output does not
+ * support Unicode.
+ * @module trace-core/tree
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Renders the message queue of a tracer as indented text.
+ * @requires trace-core/text
+ */
+var text = require('./text');
+
+/**
+ * Unicode guides, each one 3 characters wide.
+ */
+var unicodeGuides = {
+  /** Guide of a frame with more messages below. */
+  line: '│  ',
+  /** Guide of a message that is not the last one of its frame. */
+  branch: '├─ ',
+  /** Guide of the last message of a frame. */
+  last: '└─ ',
+  /** Guide of a frame without more messages below. */
+  blank: '   '
+};
+
+/**
+ * ASCII guides, each one 3 characters wide.
+ */
+var asciiGuides = {
+  line: '|  ',
+  branch: '+- ',
+  last: '`- ',
+  blank: '   '
+};
+
+/**
+ * Checks if the console can display Unicode box-drawing characters.
+ * @returns {boolean} `true` if the locale is UTF-8 or unknown and the terminal is not
+ * the Linux console, or, on Windows, if the terminal is Windows Terminal, VS Code or a
+ * CI service.
+ */
+function supportsUnicode() {
+  var env = process.env;
+  if (process.platform === 'win32') {
+    return !!(env.WT_SESSION || env.TERM_PROGRAM === 'vscode' || env.CI);
+  }
+  var locale = env.LC_ALL || env.LC_CTYPE || env.LANG;
+  if (locale && locale !== 'C.UTF-8' && !/utf-?8/i.test(locale) && locale !== 'C') {
+    return false;
+  }
+  return env.TERM !== 'linux';
+}
+
+/**
+ * Gets the depth of each message in the tree. A `leave` message is one level deeper
+ * than its indent level, as the last child of the frame it closes. The depths start at
+ * zero, even if the messages started inside frames already open.
+ * @param {Message[]} messages The messages of one async chain.
+ * @returns {number[]} The depths.
+ */
+function depths(messages) {
+  var result = [];
+  var min = Infinity;
+  for (var i = 0; i < messages.length; ++i) {
+    result.push(messages[i].depth + (messages[i].kind === 'leave' ? 1 : 0));
+    min = Math.min(min, result[i]);
+  }
+  for (var j = 0; j < result.length; ++j) {
+    result[j] -= min;
+  }
+  return result;
+}
+
+/**
+ * Finds which messages are the last ones of their frames.
+ * @param {number[]} levels The depth of each message. See `depths()`.
+ * @returns {boolean[]} Whether no later message has the same depth before a message
+ * with a lower depth.
+ */
+function lastFlags(levels) {
+  var flags = [];
+  var seen = [];
+  for (var i = levels.length - 1; i >= 0; --i) {
+    var depth = levels[i];
+    flags[i] = !seen[depth];
+    seen[depth] = true;
+    seen.length = depth + 1;
+  }
+  return flags;
+}
+
+/**
+ * Creates a renderer that draws the message tree with guides.
+ * @param {object} [options] The renderer options.
+ * @param {boolean} [options.unicode] Whether Unicode box-drawing characters are used.
+ * The default is to use them if the console supports them, or else ASCII characters.
+ * @returns {function} The renderer. It has the same signature as `text.render()`.
+ */
+function createRenderer(options) {
+  var unicode = options && options.unicode !== undefined ? !!options.unicode :
+    supportsUnicode();
+  var guides = unicode ? unicodeGuides : asciiGuides;
+  var renderMessages = function(messages, indentSize, lines) {
+    var levels = depths(messages);
+    var last = lastFlags(levels);
+    var open = [];
+    for (var i = 0; i < messages.length; ++i) {
+      var depth = levels[i];
+      var prefix = '';
+      for (var k = 1; k < depth; ++k) {
+        prefix += open[k] ? guides.line : guides.blank;
+      }
+      var first = prefix;
+      var rest = prefix;
+      if (depth > 0) {
+        first += last[i] ? guides.last : guides.branch;
+        rest += last[i] ? guides.blank : guides.line;
+      }
+      open[depth] = !last[i];
+      var body = text.format(messages[i], indentSize).replace(/\n/g, '\n' + rest);
+      lines.push({ type: messages[i].type, text: first + body });
+    }
+  };
+  return function(batch) {
+    return text.renderWith(batch, renderMessages);
+  };
+}
+
+exports.render = createRenderer();
+exports.createRenderer = createRenderer;
+exports.supportsUnicode = supportsUnicode;
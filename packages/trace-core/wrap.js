@@ -0,0 +1,324 @@
+/**
+ * @file Instruments functions, objects and classes with `enter()` and `leave()`.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This module replaces the boilerplate of an instrumented function (an
+ * `enter()` call, a `try`/`finally` block and a `leave()` call) by a wrapper that opens
+ * a frame with the arguments and closes it with the return value or the thrown error.
+ * @module trace-core/wrap
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * Severity levels of trace messages.
+ * @requires trace-core/levels
+ */
+var levels = require('./levels');
+
+/**
+ * Inspect options of the values formatted by the default formatters, unless overridden
+ * by the `inspect` option of the tracer: one nesting level, in a single line.
+ */
+var inspectDefaults = { depth: 1, breakLength: Infinity };
+
+/**
+ * Default formatter of the arguments of a wrapped function.
+ * @param {arguments} args The arguments.
+ * @param {Inspector} inspector The inspector of the tracer.
+ * @returns {string} The arguments formatted by `util.inspect()`, separated by commas.
+ */
+function formatArgs(args, inspector) {
+  return Array.prototype.map.call(args, function(arg) {
+    return inspector.inspect(arg, inspectDefaults);
+  }).join(', ');
+}
+
+/**
+ * Default formatter of the return value of a wrapped function.
+ * @param {any} value The return value.
+ * @param {Inspector} inspector The inspector of the tracer.
+ * @returns {string} `result=` followed by the value formatted by `util.inspect()`, or an
+ * empty string if the value is `undefined`.
+ */
+function formatResult(value, inspector) {
+  return value === undefined ? '' : 'result=' + inspector.inspect(value, inspectDefaults);
+}
+
+/**
+ * Describes an error in a single line.
+ * @param {any} error The error.
+ * @param {Inspector} inspector The inspector of the tracer.
+ * @returns {string} The name and message of the error, or the value formatted by
+ * `util.inspect()` if it is not an `Error`.
+ */
+function describeError(error, inspector) {
+  return error instanceof Error ? error.name + ': ' + error.message :
+    inspector.inspect(error, inspectDefaults);
+}
+
+/**
+ * Default formatter of the error thrown by a wrapped function.
+ * @param {any} error The error.
+ * @param {Inspector} inspector The inspector of the tracer.
+ * @returns {string} `threw` followed by the name and message of the error.
+ */
+function formatError(error, inspector) {
+  return 'threw ' + describeError(error, inspector);
+}
+
+/**
+ * Default formatter of the rejection reason of the promise returned by a wrapped
+ * function.
+ * @param {any} reason The rejection reason.
+ * @param {Inspector} inspector The inspector of the tracer.
+ * @returns {string} `rejected` followed by the name and message of the error.
+ */
+function formatRejection(reason, inspector) {
+  return 'rejected ' + describeError(reason, inspector);
+}
+
+/**
+ * Gets the formatters of a wrapper, from the given options or else from the `wrap`
+ * option of the tracer. The default formatters use the inspect options and custom
+ * formatters of the tracer.
+ * @param {Tracer} tracer The tracer.
+ * @param {object} options The wrap options.
+ * @returns {object} An object with the `formatArgs`, `formatResult`, `formatError` and
+ * `formatRejection` functions. A custom `formatError` also formats rejections.
+ */
+function formatters(tracer, options) {
+  var defaults = tracer.options.wrap || {};
+  var inspector = tracer.ctx.inspector;
+  var customError = options.formatError || defaults.formatError;
+  return {
+    formatArgs: options.formatArgs || defaults.formatArgs || function(args) {
+      return formatArgs(args, inspector);
+    },
+    formatResult: options.formatResult || defaults.formatResult || function(value) {
+      return formatResult(value, inspector);
+    },
+    formatError: customError || function(error) {
+      return formatError(error, inspector);
+    },
+    formatRejection: customError || function(reason) {
+      return formatRejection(reason, inspector);
+    }
+  };
+}
+
+/**
+ * Defines a non-enumerable property of a wrapper.
+ * @param {function} wrapper The wrapper.
+ * @param {string} key The property name: `name`, `length` or `wrappedFunction`.
+ * @param {any} value The property value.
+ */
+function defineProperty(wrapper, key, value) {
+  Object.defineProperty(wrapper, key, { value: value, configurable: true });
+}
+
+/**
+ * Calls a function as a constructor, with an arguments list. The function is called with
+ * `new`, so classes are supported too.
+ * @param {function} fn The constructor.
+ * @param {arguments} args The arguments.
+ * @returns {object} The object returned by the constructor, if any, or else the new
+ * object.
+ */
+function construct(fn, args) {
+  var Bound = Function.prototype.bind.apply(fn, [null].concat(
+    Array.prototype.slice.call(args)));
+  return new Bound();
+}
+
+/**
+ * Checks if a wrapper is called with `new`. ES5 has no `new.target`, so the call is taken
+ * as `new` when the wrapped function has a prototype object and `this` is an object made
+ * from it, as `new` makes it. Methods, which have no prototype, and `Parent.call(this)`
+ * from the constructor of a subclass, where `this` is made from the prototype of the
+ * subclass, are called as functions.
+ * @param {function} wrapper The wrapper.
+ * @param {function} fn The wrapped function.
+ * @param {any} self The `this` of the call.
+ * @returns {boolean} `true` if the wrapped function must be called as a constructor.
+ */
+function isNewCall(wrapper, fn, self) {
+  return fn.prototype !== null && typeof fn.prototype === 'object' &&
+    self !== null && typeof self === 'object' &&
+    Object.getPrototypeOf(self) === wrapper.prototype;
+}
+
+/**
+ * Checks if a function is an `async` function.
+ * @param {function} fn The function.
+ * @returns {boolean} `true` if the function was declared `async`.
+ */
+function isAsync(fn) {
+  return Object.prototype.toString.call(fn) === '[object AsyncFunction]';
+}
+
+/**
+ * Closes a frame when a promise settles: with the formatted value if it is fulfilled,
+ * or with the formatted reason, at the `error` level at least, if it is rejected.
+ * @param {Tracer} tracer The tracer.
+ * @param {Frame} frame The frame.
+ * @param {Promise} promise The promise, or any thenable.
+ * @param {object} format The formatters. See `formatters()`.
+ * @returns {Promise} A promise that settles like the given one. The reason of a
+ * rejection is thrown again, so a rejection that nobody handles is still reported as
+ * unhandled.
+ */
+function closeOnSettle(tracer, frame, promise, format) {
+  var errorLevel = Math.max(tracer.ctx.frameLevel, levels.values.error);
+  return promise.then(function(value) {
+    var redactor = tracer.ctx.redactor;
+    tracer.close(frame, frame.visible ? ['%s', format.formatResult(redactor ?
+      redactor.value(value, null, null, []) : value)] : []);
+    return value;
+  }, function(reason) {
+    tracer.close(frame, frame.visible ? ['%s', format.formatRejection(reason)] : [],
+      errorLevel);
+    throw reason;
+  });
+}
+
+/**
+ * Creates a function that calls a given function inside a frame. The frame is opened
+ * with the function name and its formatted arguments, and closed with the formatted
+ * return value or thrown error. If the tracer redacts messages, the arguments and the
+ * return value are redacted before they are formatted. If the function returns a
+ * promise, or any thenable, the frame is closed when it settles, with the value or, at
+ * the `error` level, with the rejection reason, and the wrapper returns a promise that
+ * settles like it. An `async` function is called in a new async chain, as `enterAsync()`
+ * does, so the messages it writes after an `await` are nested in its frame, and the
+ * messages written meanwhile by the caller are not. The frame of any other function that
+ * returns a promise is moved to a new async chain when the function returns (see
+ * `Tracer.detach()`), so it stays open only there, and the caller goes on with its own
+ * frames.
+ * @param {Tracer} tracer The tracer.
+ * @param {function} fn The function to be wrapped.
+ * @param {string|object} [options] The frame name, or the wrap options.
+ * @param {string} [options.name] The frame name. The default is the function name.
+ * @param {function} [options.formatArgs] Formats the arguments. Receives the `arguments`
+ * object and returns a string.
+ * @param {function} [options.formatResult] Formats the return value. Receives the value
+ * and returns a string.
+ * @param {function} [options.formatError] Formats the thrown error, or the rejection
+ * reason. Receives the error and returns a string.
+ * @returns {function} The wrapper. It preserves `this`, supports `new`, and has the same
+ * `name`, `length` and `prototype` as the wrapped function, which is kept in its
+ * `wrappedFunction` property. A wrapper is returned as is.
+ */
+function wrap(tracer, fn, options) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('Expected a function, got ' + typeof fn);
+  }
+  if (fn.wrappedFunction) {
+    return fn;
+  }
+  options = typeof options === 'string' ? { name: options } : options || {};
+  var name = options.name || fn.name || 'anonymous';
+  var format = formatters(tracer, options);
+  var forked = isAsync(fn);
+  var wrapper = function() {
+    var self = this;
+    var args = arguments;
+    var call = function() {
+      var redactor = tracer.ctx.redactor;
+      var frame = tracer.open(name, function() {
+        return ['%s', name + '(' + format.formatArgs(redactor ? redactor.args(args) :
+          args) + ')'];
+      });
+      var result;
+      try {
+        result = isNewCall(wrapper, fn, self) ? construct(fn, args) :
+          fn.apply(self, args);
+      } catch (e) {
+        tracer.close(frame, frame.visible ? ['%s', format.formatError(e)] : []);
+        throw e;
+      }
+      if (result && typeof result.then === 'function') {
+        return forked ? closeOnSettle(tracer, frame, result, format) :
+          tracer.detach(frame, function() {
+            return closeOnSettle(tracer, frame, result, format);
+          });
+      }
+      tracer.close(frame, frame.visible ? ['%s', format.formatResult(redactor ?
+        redactor.value(result, null, null, []) : result)] : []);
+      return result;
+    };
+    return forked ? tracer.fork(call) : call();
+  };
+  defineProperty(wrapper, 'name', fn.name);
+  defineProperty(wrapper, 'length', fn.length);
+  defineProperty(wrapper, 'wrappedFunction', fn);
+  wrapper.prototype = fn.prototype;
+  return wrapper;
+}
+
+/**
+ * Replaces every method of an object by a wrapper. Methods are the own properties of the
+ * object, enumerable or not, whose value is a function, except `constructor`. Accessors
+ * and read-only properties are not changed.
+ * @param {Tracer} tracer The tracer.
+ * @param {object} obj The object.
+ * @param {object} [options] The wrap options. See `wrap()` for details.
+ * @param {string} [options.prefix] Prepended to each method name, followed by a dot, to
+ * make the frame names.
+ * @returns {object} The object.
+ */
+function wrapAll(tracer, obj, options) {
+  options = options || {};
+  var keys = Object.getOwnPropertyNames(obj);
+  for (var i = 0; i < keys.length; ++i) {
+    var key = keys[i];
+    var desc = Object.getOwnPropertyDescriptor(obj, key);
+    if (key === 'constructor' || typeof desc.value !== 'function' || !desc.writable) {
+      continue;
+    }
+    var methodOptions = {
+      name: options.prefix ? options.prefix + '.' + key : key,
+      formatArgs: options.formatArgs,
+      formatResult: options.formatResult,
+      formatError: options.formatError
+    };
+    desc.value = wrap(tracer, desc.value, methodOptions);
+    Object.defineProperty(obj, key, desc);
+  }
+  return obj;
+}
+
+/**
+ * Replaces every method of a class prototype by a wrapper.
+ * @param {Tracer} tracer The tracer.
+ * @param {function} Ctor The class or constructor.
+ * @param {object} [options] The wrap options. See `wrapAll()` for details. The default
+ * prefix is the class name.
+ * @returns {function} The class.
+ */
+function wrapClass(tracer, Ctor, options) {
+  if (typeof Ctor !== 'function') {
+    throw new TypeError('Expected a class, got ' + typeof Ctor);
+  }
+  options = options || {};
+  wrapAll(tracer, Ctor.prototype, {
+    prefix: options.prefix !== undefined ? options.prefix : Ctor.name,
+    formatArgs: options.formatArgs,
+    formatResult: options.formatResult,
+    formatError: options.formatError
+  });
+  return Ctor;
+}
+
+exports.describeError = describeError;
+exports.formatters = formatters;
+exports.wrap = wrap;
+exports.wrapAll = wrapAll;
+exports.wrapClass = wrapClass;
@@ -0,0 +1,938 @@
+/**
+ * @file Checks of the trace-core module.
+ * @copyright (C) 2018 Jorge Ramos {@link https://github.com/jramos-br}
+ * @license MIT. This program is free software, licensed under the terms of the
+ * MIT License as published by the Open Source Initiative. It is distributed in
+ * the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the
+ * implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the file LICENSE for more details. If you don't find it, please see the
+ * MIT License template at {@link http://opensource.org/licenses/MIT}.
+ * @author Jorge Ramos <jramos@pobox.com>
+ * @description This script runs the checks of trace-core, one after the other, and
+ * prints `ok` or `not ok` for each one. The exit code is 1 if any check fails. Unlike
+ * the visual test of `index.js`, the results are compared with the expected ones, either
+ * as printed by a tracer or with the helpers of `trace-core/testing`.
+ */
+
+// Declares Strict Mode.
+'use strict';
+
+/**
+ * The `assert` module provides a simple set of assertion tests that can be used to test
+ * invariants.
+ * @requires assert
+ * https://nodejs.org/api/assert.html
+ */
+var assert = require('assert');
+
+/**
+ * The `child_process` module provides the ability to spawn child processes.
+ * @requires child_process
+ * https://nodejs.org/api/child_process.html
+ */
+var childProcess = require('child_process');
+
+/**
+ * The `fs` module provides an API for interacting with the file system.
+ * @requires fs
+ * https://nodejs.org/api/fs.html
+ */
+var fs = require('fs');
+
+/**
+ * The `os` module provides operating system-related utility methods and properties.
+ * @requires os
+ * https://nodejs.org/api/os.html
+ */
+var os = require('os');
+
+/**
+ * The `path` module provides utilities for working with file and directory paths.
+ * @requires path
+ * https://nodejs.org/api/path.html
+ */
+var path = require('path');
+
+/**
+ * The `util` module is primarily designed to support the needs of Node.js' own internal
+ * APIs. However, many of the utilities are useful for application and module developers
+ * as well.
+ * @requires util
+ * https://nodejs.org/api/util.html
+ */
+var util = require('util');
+
+/**
+ * Detects how many colors a stream can display.
+ * @requires trace-core/color
+ */
+var color = require('../packages/trace-core/color');
+
+/**
+ * Creates independent tracers that print trace messages using lazy write.
+ * @requires trace-core
+ */
+var core = require('../packages/trace-core');
+
+/**
+ * Runs code against a tracer that keeps its messages in memory.
+ * @requires trace-core/testing
+ */
+var testing = require('../packages/trace-core/testing');
+
+/** The checks, in the order they run, each one with `name` and `fn`. */
+var checks = [];
+
+/**
+ * Adds a check.
+ * @param {string} name The check name.
+ * @param {function} fn The check. It throws if it fails, or returns a promise that
+ * rejects.
+ */
+function check(name, fn) {
+  checks.push({ name: name, fn: fn });
+}
+
+/**
+ * Joins lines of expected text.
+ * @param {...string} lines The lines.
+ * @returns {string} The lines, separated by newlines.
+ */
+function lines() {
+  return Array.prototype.join.call(arguments, '\n');
+}
+
+/**
+ * Creates a tracer that prints to an array instead of the console.
+ * @param {object} [options] The tracer options. `output` and `showOnExit` are ignored.
+ * @returns {Tracer} The tracer, with the printed lines in its `printed` property.
+ */
+function printingTracer(options) {
+  var printed = [];
+  var push = function(text) {
+    printed.push(text);
+  };
+  var settings = { timing: false, level: 'trace', namespaces: '', threads: false };
+  for (var key in options) {
+    if (Object.prototype.hasOwnProperty.call(options, key)) {
+      settings[key] = options[key];
+    }
+  }
+  settings.output = { log: push, warn: push, error: push };
+  settings.showOnExit = false;
+  var tracer = core.createTracer(settings);
+  tracer.printed = printed;
+  return tracer;
+}
+
+/**
+ * Creates a function from source code, e.g. a class or an `async` function, which this
+ * ES5 code base cannot declare.
+ * @param {string} source The source of a function or class expression.
+ * @returns {function} The function.
+ */
+function compile(source) {
+  return new Function('return ' + source)();
+}
+
+/**
+ * Runs a script in a child process, to check what happens when a process ends.
+ * @param {string[]} source The lines of the script. `core` is the trace-core module.
+ * @param {string[]} [execArgv] Options of Node.js.
+ * @returns {object} The result of `child_process.spawnSync()`, with `stdout` and
+ * `stderr` as strings.
+ */
+function runScript(source, execArgv) {
+  var script = ['var core = require("./packages/trace-core");'].concat(source);
+  var args = (execArgv || []).concat('-e', script.join('\n'));
+  return childProcess.spawnSync(process.execPath, args, {
+    cwd: path.join(__dirname, '..'),
+    encoding: 'utf8',
+    env: { PATH: process.env.PATH },
+    timeout: 30000
+  });
+}
+
+/**
+ * Waits for some milliseconds.
+ * @param {number} ms The delay.
+ * @returns {Promise} A promise fulfilled after the delay.
+ */
+var delay = util.promisify(setTimeout);
+
+check('tracers are independent', function() {
+  var db = printingTracer();
+  var http = printingTracer({ indentSize: 4 });
+  db.enter('query');
+  http.enter('request');
+  http.log('sent');
+  http.leave();
+  db.leave();
+  http.show();
+  assert.deepStrictEqual(http.printed.slice(1), ['>   request', '    sent', '<   request']);
+  db.show();
+  assert.deepStrictEqual(db.printed.slice(1), ['> query', '< query']);
+});
+
+check('forked chains are shown apart', function() {
+  var trace = printingTracer();
+  trace.enter('main');
+  trace.fork(function() {
+    trace.enter('task');
+    trace.leave();
+  });
+  trace.leave();
+  trace.show();
+  assert.deepStrictEqual(trace.printed.slice(1), [
+    '--- chain 0 ---', '> main', '< main', '--- chain 1 ---', '  > task', '  < task'
+  ]);
+});
+
+check('a forked chain does not close the frames of its parent', function() {
+  var trace = printingTracer();
+  trace.enter('main');
+  trace.fork(function() {
+    trace.leave();
+  });
+  trace.leave();
+  trace.show();
+  assert.deepStrictEqual(trace.printed.slice(1), [
+    '--- chain 0 ---', '> main', '< main', '--- chain 1 ---',
+    '  leave() without a matching enter()'
+  ]);
+});
+
+check('leave() prints the elapsed time and the profile counts calls', function() {
+  var trace = printingTracer({ profile: true });
+  for (var i = 0; i < 3; ++i) {
+    trace.enter('step');
+    trace.leave();
+  }
+  trace.show();
+  assert.ok(/^< step \(\d+\.\d\dms\)$/.test(trace.printed[2]));
+  var table = trace.printed.slice(trace.printed.lastIndexOf(trace.printed[0]) + 1);
+  assert.ok(/^name +calls +total +self +min +max +mean$/.test(table[0]));
+  assert.ok(/^step +3 /.test(table[1]));
+});
+
+check('file outputs are written synchronously', function() {
+  var file = path.join(os.tmpdir(), 'trace-core-check-' + process.pid + '.log');
+  try {
+    var trace = core.createTracer({
+      output: { path: file, mode: 'truncate' },
+      showOnExit: false,
+      timing: false
+    });
+    trace.log('to file');
+    trace.show();
+    assert.ok(/\nto file\n$/.test(fs.readFileSync(file, 'utf8')));
+  } finally {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+});
+
+check('the queue drops the oldest messages beyond its limits', function() {
+  var trace = printingTracer({ maxMessages: 2 });
+  trace.log('a');
+  trace.log('b');
+  trace.log('c');
+  trace.show();
+  assert.deepStrictEqual(trace.printed.slice(1), [
+    '... 1 earlier message dropped ...', 'b', 'c'
+  ]);
+});
+
+check('failure mode shows the queue only when the process fails', function() {
+  var source = [
+    'var trace = core.createTracer({ showOnExit: "failure", timing: false });',
+    'trace.log("before");'
+  ];
+  var result = runScript(source);
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(result.stdout, '');
+  result = runScript(source.concat('process.exitCode = 2;'));
+  assert.strictEqual(result.status, 2);
+  assert.ok(/\nbefore\n/.test(result.stdout));
+  source.push('Promise.reject(new Error("lost"));');
+  result = runScript(source, ['--unhandled-rejections=warn']);
+  assert.strictEqual(result.status, 0);
+  assert.ok(/\nbefore\n/.test(result.stdout));
+  assert.ok(/Error: lost/.test(result.stderr));
+});
+
+check('a signal handled by the application does not show the queue twice', function() {
+  var source = [
+    'var trace = core.createTracer({ showOnExit: "failure", timing: false });',
+    'trace.enter("main");',
+    'setTimeout(function() {}, 5000);'
+  ];
+  var result = runScript(source.concat(
+    'process.on("SIGTERM", function() { process.exit(0); });',
+    'process.kill(process.pid, "SIGTERM");'));
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(result.stdout.match(/^-+$/gm).length, 1);
+  assert.strictEqual(result.stderr.match(/frames still open/g).length, 1);
+  result = runScript(source.concat(
+    'process.on("SIGTERM", function() { trace.log("cleanup"); process.exit(0); });',
+    'process.kill(process.pid, "SIGTERM");'));
+  assert.strictEqual(result.status, 0);
+  assert.ok(/^-+\n {2}cleanup\n$/m.test(result.stdout));
+  assert.strictEqual(result.stderr.match(/frames still open/g).length, 1);
+});
+
+check('the jsonl format prints one record per message', function() {
+  var trace = printingTracer({ format: 'jsonl' });
+  trace.enter('main');
+  trace.log('x=%d', 1);
+  trace.leave();
+  trace.show();
+  var records = trace.printed.map(JSON.parse);
+  assert.deepStrictEqual(records.map(function(record) {
+    return [record.kind, record.name, record.message];
+  }), [['enter', 'main', 'main'], ['log', null, 'x=1'], ['leave', 'main', '']]);
+  assert.deepStrictEqual(records[1].args, ['x=%d', 1]);
+});
+
+check('the jsonl format keeps the arguments as they were written', function() {
+  var trace = printingTracer({ format: 'jsonl' });
+  var user = { name: 'ann' };
+  var circular = {};
+  circular.self = circular;
+  trace.log('%j', user);
+  user.name = 'bob';
+  trace.log('%o', circular);
+  trace.show();
+  var records = trace.printed.map(JSON.parse);
+  assert.deepStrictEqual(records[0].args, ['%j', { name: 'ann' }]);
+  assert.strictEqual(records[1].args, undefined);
+  assert.ok(/self: \[Circular/.test(records[1].message));
+});
+
+check('levels below the threshold are not recorded', function() {
+  var trace = printingTracer({ level: 'warn' });
+  trace.debug('hidden');
+  trace.log('hidden');
+  trace.warn('shown');
+  trace.error('shown too');
+  trace.show();
+  assert.deepStrictEqual(trace.printed.slice(1), ['shown', 'shown too']);
+});
+
+check('invalid environment variables are ignored', function() {
+  var saved = process.env.MINITRACE_LEVEL;
+  var emitWarning = process.emitWarning;
+  var warnings = [];
+  process.env.MINITRACE_LEVEL = 'verbose';
+  process.emitWarning = function(warning) {
+    warnings.push(String(warning));
+  };
+  try {
+    assert.strictEqual(core.createTracer({ showOnExit: false }).getLevel(), 'trace');
+    assert.throws(function() {
+      core.createTracer({ showOnExit: false, level: 'verbose' });
+    }, TypeError);
+  } finally {
+    process.emitWarning = emitWarning;
+    if (saved === undefined) {
+      delete process.env.MINITRACE_LEVEL;
+    } else {
+      process.env.MINITRACE_LEVEL = saved;
+    }
+  }
+  assert.strictEqual(warnings.length, 1);
+});
+
+check('levels are names of their own, or numbers including zero', function() {
+  ['constructor', 'toString', '__proto__'].forEach(function(name) {
+    assert.throws(function() {
+      core.createTracer({ showOnExit: false, level: name });
+    }, TypeError);
+  });
+  var trace = printingTracer({ level: 0, frameLevel: 0 });
+  assert.strictEqual(trace.getLevel(), '0');
+  trace.enter('main');
+  trace.leave();
+  trace.show();
+  assert.deepStrictEqual(trace.printed.slice(1), ['> main', '< main']);
+});
+
+check('namespace patterns with wildcards and exclusions', function() {
+  var trace = printingTracer({ namespaces: 'db:*,-db:secret' });
+  trace.namespace('db:query').log('query');
+  trace.namespace('db:secret').log('secret');
+  trace.namespace('http').log('request');
+  trace.show();
+  assert.deepStrictEqual(trace.printed.slice(1), ['[db:query] query']);
+});
+
+check('wrap() traces arguments, results and errors', function() {
+  var trace = printingTracer();
+  var half = trace.wrap(function half(n) {
+    if (n % 2) {
+      throw new RangeError('odd');
+    }
+    return n / 2;
+  });
+  half(4);
+  assert.throws(function() {
+    half(3);
+  }, RangeError);
+  trace.show();
+  assert.deepStrictEqual(trace.printed.slice(1), [
+    '> half(4)', '< half result=2', '> half(3)', '< half threw RangeError: odd'
+  ]);
+});
+
+check('wrap() supports new with classes', function() {
+  var Point = compile('class Point { constructor(x) { this.x = x; } }');
+  var trace = printingTracer();
+  var Wrapped = trace.wrap(Point);
+  var point = new Wrapped(1);
+  assert.ok(point instanceof Point);
+  trace.show();
+  assert.deepStrictEqual(trace.printed.slice(1), [
+    '> Point(1)', '< Point result=Point { x: 1 }'
+  ]);
+});
+
+check('wrap() calls methods and parent constructors as functions', function() {
+  var Stack = compile('class Stack { constructor() { this.items = []; }' +
+    ' push(item) { return this.items.push(item); } }');
+  var trace = printingTracer();
+  trace.wrapClass(Stack);
+  var stack = new Stack();
+  assert.strictEqual(stack.push(7), 1);
+  var Parent = trace.wrap(function Parent(x) {
+    this.x = x;
+  });
+  var Child = function(x) {
+    Parent.call(this, x);
+  };
+  Child.prototype = Object.create(Parent.prototype);
+  var child = new Child(2);
+  assert.strictEqual(child.x, 2);
+  trace.show();
+  assert.deepStrictEqual(trace.printed.slice(1), [
+    '> Stack.push(7)', '< Stack.push result=1', '> Parent(2)', '< Parent'
+  ]);
+});
+
+check('enterAsync() nests the messages of an operation', function() {
+  var trace = printingTracer();
+  return trace.enterAsync('fetch', function() {
+    trace.log('sent');
+    return delay(1).then(function() {
+      return 200;
+    });
+  }).then(function() {
+    trace.show();
+    assert.deepStrictEqual(trace.printed.slice(1), [
+      '> fetch', '  sent', '< fetch result=200'
+    ]);
+  });
+});
+
+check('wrap() closes the frame of an async function when it settles', function() {
+  var getUser = compile('async function getUser(trace, delay, id) {' +
+    ' trace.log("querying"); await delay(1); trace.log("found");' +
+    ' if (id < 0) { throw new Error("no user"); } return { id: id }; }');
+  var trace = printingTracer();
+  var wrapped = trace.wrap(getUser, { formatArgs: function(args) {
+    return String(args[2]);
+  } });
+  trace.enter('main');
+  return wrapped(trace, delay, 1).then(function() {
+    return wrapped(trace, delay, -1);
+  }).then(null, function() {
+    trace.leave();
+    trace.show();
+    assert.deepStrictEqual(trace.printed.slice(1), [
+      '--- chain 0 ---',
+      '> main',
+      '< main',
+      '--- chain 1 ---',
+      '  > getUser(1)',
+      '    querying',
+      '    found',
+      '  < getUser result={ id: 1 }',
+      '--- chain 2 ---',
+      '  > getUser(-1)',
+      '    querying',
+      '    found',
+      '  < getUser rejected Error: no user'
+    ]);
+  });
+});
+
+check('wrap() moves the frame of a function returning a promise to a new chain', function() {
+  var trace = printingTracer();
+  var load = trace.wrap(function load() {
+    trace.log('loading');
+    return delay(1).then(function() {
+      return 'data';
+    });
+  });
+  trace.enter('main');
+  var loaded = load();
+  trace.enter('render');
+  trace.leave();
+  trace.leave();
+  return loaded.then(function() {
+    trace.show();
+    assert.deepStrictEqual(trace.printed.slice(1), [
+      '--- chain 0 ---',
+      '> main',
+      '  > load()',
+      '    loading',
+      '  > render',
+      '  < render',
+      '< main',
+      '--- chain 1 ---',
+      '  < load result=\'data\''
+    ]);
+  });
+});
+
+check('a rejection of a wrapped function is still unhandled', function() {
+  var result = runScript([
+    'var trace = core.createTracer({ showOnExit: false });',
+    'trace.wrap(function load() { return Promise.reject(new Error("lost")); })();'
+  ], ['--unhandled-rejections=strict']);
+  assert.strictEqual(result.status, 1);
+  assert.ok(/Error: lost/.test(result.stderr));
+});
+
+check('enter() and leave() nest messages', function() {
+  var trace = printingTracer();
+  var frame = trace.enter('main');
+  trace.log('hello %s', 'world');
+  trace.enter('parse %s', 'file');
+  trace.leave('done');
+  trace.leave(frame);
+  trace.show();
+  assert.deepStrictEqual(trace.printed.slice(1), [
+    '> main', '  hello world', '  > parse file', '  < parse done', '< main'
+  ]);
+});
+
+check('unbalanced frames are closed with warnings', function() {
+  var trace = printingTracer();
+  var frame = trace.enter('parse');
+  trace.enter('validate');
+  trace.leave(frame, 'done');
+  trace.leave();
+  trace.show();
+  assert.deepStrictEqual(trace.printed.slice(1), [
+    '> parse',
+    '  > validate',
+    '    leave(parse) found frames left open: validate',
+    '  < validate left open',
+    '< parse done',
+    'leave() without a matching enter()'
+  ]);
+});
+
+check('the chrome format records frames as events', function() {
+  var trace = printingTracer({ format: 'chrome', timing: true });
+  trace.enter('main');
+  trace.enter('child');
+  trace.leave();
+  trace.leave();
+  trace.show();
+  var document = JSON.parse(trace.printed.join('\n'));
+  assert.deepStrictEqual(document.traceEvents.map(function(event) {
+    return event.ph;
+  }), ['M', 'B', 'B', 'E', 'E']);
+});
+
+check('the folded format prints one line per call path', function() {
+  var trace = printingTracer({ format: 'folded', timing: true });
+  trace.enter('main');
+  trace.enter('child');
+  trace.leave();
+  trace.leave();
+  trace.show();
+  assert.deepStrictEqual(trace.printed.map(function(line) {
+    return line.split(' ')[0];
+  }), ['main', 'main;child']);
+});
+
+check('snapshot(), clear() and onRecord() access the queue', function() {
+  var trace = printingTracer();
+  var seen = [];
+  var stop = trace.onRecord(function(record) {
+    seen.push(record.message);
+  });
+  trace.log('a');
+  stop();
+  trace.log('b');
+  assert.deepStrictEqual(seen, ['a']);
+  assert.deepStrictEqual(trace.snapshot().map(function(record) {
+    return record.message;
+  }), ['a', 'b']);
+  trace.clear();
+  assert.deepStrictEqual(trace.snapshot(), []);
+});
+
+check('a checkpoint flush does not report open frames', function() {
+  var trace = printingTracer();
+  trace.enter('main');
+  trace.flush();
+  assert.deepStrictEqual(trace.printed.slice(1), ['> main']);
+});
+
+check('captureTrace() records and assertTrace() compares', function() {
+  var records = testing.captureTrace(function(trace) {
+    trace.enter('main');
+    trace.log('hello');
+    trace.leave();
+  });
+  testing.assertTrace(records, lines(
+    '> main',
+    '  hello',
+    '< main'));
+});
+
+check('captureTrace() ignores the environment', function() {
+  var saved = process.env.MINITRACE_LEVEL;
+  process.env.MINITRACE_LEVEL = 'error';
+  try {
+    var records = testing.captureTrace(function(trace) {
+      trace.debug('kept');
+    });
+    assert.strictEqual(records.length, 1);
+  } finally {
+    if (saved === undefined) {
+      delete process.env.MINITRACE_LEVEL;
+    } else {
+      process.env.MINITRACE_LEVEL = saved;
+    }
+  }
+});
+
+check('renderTree() shows each chain apart', function() {
+  var records = testing.captureTrace(function(trace) {
+    trace.enter('main');
+    trace.fork(function() {
+      trace.log('task');
+    });
+    trace.leave();
+  });
+  testing.assertTrace(records, lines(
+    '--- chain 0 ---',
+    '> main',
+    '< main',
+    '--- chain 1 ---',
+    '  task'));
+});
+
+check('color detection follows FORCE_COLOR and NO_COLOR', function() {
+  var saved = {};
+  var names = ['FORCE_COLOR', 'NO_COLOR', 'CI'];
+  names.forEach(function(name) {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  });
+  try {
+    process.env.FORCE_COLOR = '2';
+    assert.strictEqual(color.detect({ isTTY: false }), color.ANSI256);
+    delete process.env.FORCE_COLOR;
+    process.env.NO_COLOR = '1';
+    assert.strictEqual(color.detect({ isTTY: true }), color.NONE);
+    delete process.env.NO_COLOR;
+    assert.strictEqual(color.detect({ isTTY: false }), color.NONE);
+  } finally {
+    names.forEach(function(name) {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+  }
+});
+
+check('the tree format draws guides', function() {
+  var run = function(unicode) {
+    var trace = printingTracer({ format: core.createTreeRenderer({ unicode: unicode }) });
+    trace.enter('main');
+    trace.enter('child');
+    trace.leave();
+    trace.log('done');
+    trace.leave();
+    trace.show();
+    return trace.printed.slice(1);
+  };
+  assert.deepStrictEqual(run(true), [
+    '> main', '├─ > child', '│  └─ < child', '├─ done', '└─ < main'
+  ]);
+  assert.deepStrictEqual(run(false), [
+    '> main', '+- > child', '|  `- < child', '+- done', '`- < main'
+  ]);
+});
+
+check('collapse merges repeated subtrees', function() {
+  var trace = printingTracer({ collapse: true });
+  for (var i = 0; i < 3; ++i) {
+    trace.enter('step %d', i);
+    trace.leave();
+  }
+  trace.show();
+  assert.deepStrictEqual(trace.printed.slice(1), ['> step 0 (×3)', '< step']);
+});
+
+check('collapse does not apply to the jsonl and chrome formats', function() {
+  var run = function(format) {
+    var trace = printingTracer({ collapse: true, format: format, timing: true });
+    for (var i = 0; i < 3; ++i) {
+      trace.enter('step %d', i);
+      trace.leave();
+    }
+    trace.show();
+    return trace.printed;
+  };
+  assert.strictEqual(run('jsonl').length, 6);
+  var document = JSON.parse(run('chrome').join('\n'));
+  assert.deepStrictEqual(document.traceEvents.map(function(event) {
+    return event.ph;
+  }), ['M', 'B', 'E', 'B', 'E', 'B', 'E']);
+});
+
+check('maxDepth and sampling mute frames', function() {
+  var records = testing.captureTrace(function(trace) {
+    var factorial = trace.wrap(function factorial(n) {
+      return n <= 1 ? 1 : n * wrapped(n - 1);
+    });
+    var wrapped = factorial;
+    factorial(4);
+    for (var i = 0; i < 4; ++i) {
+      trace.enter('tick');
+      trace.leave();
+    }
+  }, { maxDepth: 2, sample: { tick: 2 } });
+  testing.assertTrace(records, lines(
+    '> factorial(4)',
+    '  > factorial(3)',
+    '  < factorial result=6 (+2 frames not shown)',
+    '< factorial result=24',
+    '> tick',
+    '< tick',
+    '> tick',
+    '< tick'));
+});
+
+check('frames not sampled are not formatted', function() {
+  var formatted = 0;
+  var arg = { toString: function() {
+    ++formatted;
+    return 'arg';
+  } };
+  var records = testing.captureTrace(function(trace) {
+    for (var i = 0; i < 4; ++i) {
+      trace.enter('tick %s', arg);
+      trace.leave();
+    }
+    trace.enter('%s', 'tock');
+    trace.leave();
+  }, { sample: { tick: 2, tock: 1 } });
+  assert.strictEqual(formatted, 2);
+  assert.deepStrictEqual(records.map(function(record) {
+    return record.name;
+  }), ['tick', 'tick', 'tick', 'tick', 'tock', 'tock']);
+});
+
+check('the arguments of wrapped functions are formatted only if recorded', function() {
+  var formatted = 0;
+  var options = { formatArgs: function(args) {
+    ++formatted;
+    return String(args[0]);
+  } };
+  var records = testing.captureTrace(function(trace) {
+    var tick = trace.wrap(function tick() {}, options);
+    var deep = trace.wrap(function(n) {
+      return n > 0 ? deep(n - 1) : 0;
+    }, options);
+    for (var i = 0; i < 4; ++i) {
+      tick(i);
+    }
+    deep(5);
+    trace.setLevel('warn');
+    tick(4);
+  }, { maxDepth: 2, sample: { tick: 2 }, redact: true });
+  assert.strictEqual(formatted, 4);
+  assert.strictEqual(records.length, 8);
+});
+
+check('redaction masks sensitive values', function() {
+  var records = testing.captureTrace(function(trace) {
+    trace.log({ user: 'ann', password: 'hunter2' });
+    trace.log('card 4111 1111 1111 1111');
+  }, { redact: true });
+  assert.strictEqual(records[0].message.indexOf('hunter2'), -1);
+  assert.strictEqual(records[1].message.indexOf('4111'), -1);
+});
+
+check('redaction masks the properties of errors and their causes', function() {
+  var records = testing.captureTrace(function(trace) {
+    var cause = new Error('denied');
+    cause.token = 'abc123';
+    var error = new Error('login failed');
+    error.password = 'hunter2';
+    error.cause = cause;
+    var aggregate = new Error('all failed');
+    Object.defineProperty(aggregate, 'errors', { value: [error] });
+    trace.error(aggregate);
+  }, { redact: true });
+  var message = records[0].message;
+  assert.strictEqual(message.indexOf('hunter2'), -1);
+  assert.strictEqual(message.indexOf('abc123'), -1);
+  assert.ok(/\[0\] Error: login failed \{ password: '\[REDACTED\]' \}/.test(message));
+  assert.ok(/Caused by: Error: denied \{ token: '\[REDACTED\]' \}/.test(message));
+});
+
+check('inspect options, formatters and maxLength format messages', function() {
+  var records = testing.captureTrace(function(trace) {
+    trace.log({ a: { b: { c: 1 } } });
+    trace.log(Buffer.from('abcdef'));
+    trace.log(new Array(41).join('x'));
+  }, {
+    inspect: { depth: 0 },
+    formatters: [core.bufferFormatter(2)],
+    maxLength: 30
+  });
+  assert.deepStrictEqual(records.map(function(record) {
+    return record.message;
+  }), [
+    '{ a: [Object] }',
+    '<Buffer 6162... (6 bytes)>',
+    'xxxxxxxxxxxxxxxxxxxxxxxxxxxxxx ... [+10 chars]'
+  ]);
+});
+
+check('errors are rendered with their cause and the frame path', function() {
+  var records = testing.captureTrace(function(trace) {
+    trace.enter('main');
+    trace.enter('load');
+    var cause = new TypeError('bad input');
+    var error = new Error('failed');
+    error.cause = cause;
+    var aggregate = new Error('all failed');
+    aggregate.errors = [error];
+    trace.error(aggregate);
+    trace.leave();
+    trace.leave();
+  });
+  var record = records[2];
+  assert.strictEqual(record.path, 'main > load');
+  assert.ok(/^Error: all failed\n/.test(record.message));
+  assert.ok(/\n {2}\[0\] Error: failed\n/.test(record.message));
+  assert.ok(/\n {6}Caused by: TypeError: bad input/.test(record.message));
+  assert.ok(!/\((node:|internal[\\/])/.test(record.message));
+  var packageDir = path.join(__dirname, '..', 'packages', 'trace-core') + path.sep;
+  assert.strictEqual(record.message.indexOf(packageDir), -1);
+});
+
+check('a crash is reported once, with its open frames', function() {
+  var version = process.versions.node.split('.').map(Number);
+  if (version[0] < 12 || version[0] === 12 && version[1] < 17 ||
+    version[0] === 13 && version[1] < 7) {
+    // Without uncaughtExceptionMonitor, crashes are not reported.
+    return;
+  }
+  var source = [
+    'var trace = core.createTracer({ crashReport: true, timing: false });',
+    'trace.enter("main");'
+  ];
+  var crash = source.concat('setTimeout(function() { throw new Error("boom"); }, 1);');
+  var result = runScript(crash);
+  assert.strictEqual(result.status, 1);
+  assert.ok(/^ {2}uncaught exception: Error: boom$/m.test(result.stderr));
+  assert.ok(/^ {2}open frames:\n {4}main$/m.test(result.stderr));
+  assert.strictEqual(result.stdout.match(/^-+$/gm).length, 1);
+  assert.strictEqual(result.stderr.indexOf('frames still open'), -1);
+  var rejection = source.concat('Promise.reject(new Error("lost"));');
+  result = runScript(rejection, ['--unhandled-rejections=warn']);
+  assert.strictEqual(result.status, 0);
+  assert.ok(/^ {2}unhandled rejection: Error: lost$/m.test(result.stderr));
+  assert.strictEqual(result.stderr.indexOf('frames still open'), -1);
+});
+
+check('worker threads are merged only into the tracer of their name', function() {
+  var workerThreads = null;
+  try {
+    workerThreads = require('worker_threads');
+  } catch (e) {
+    // Threads are not supported, so there is nothing to merge.
+  }
+  if (!workerThreads || !workerThreads.BroadcastChannel) {
+    return;
+  }
+  var result = runScript([
+    'var Worker = require("worker_threads").Worker;',
+    'var a = core.createTracer({ name: "a", threads: "thread", timing: false });',
+    'var b = core.createTracer({ name: "b", threads: "thread", timing: false });',
+    'core.createTracer({ name: "a", threads: true, showOnExit: false });',
+    'a.log("main a");',
+    'b.log("main b");',
+    'var code = "var core = require(" + JSON.stringify(require.resolve("./packages/trace-core")) +',
+    '  ");" +',
+    '  "var name = require(\\"worker_threads\\").workerData;" +',
+    '  "var options = { name: name, threads: true, showOnExit: false };" +',
+    '  "var trace = core.createTracer(options);" +',
+    '  "trace.log(\\"in \\" + name);" +',
+    '  "trace.flush();";',
+    'new Worker(code, { eval: true, workerData: "a" }).on("exit", function() {',
+    '  new Worker(code, { eval: true, workerData: "c" });',
+    '});'
+  ]);
+  assert.strictEqual(result.status, 0);
+  var shown = result.stdout.split(/^-+\n/m).slice(1);
+  assert.deepStrictEqual(shown, [
+    'in c\n',
+    '--- chain 0 ---\nmain a\n--- thread 1 chain 0 ---\nin a\n',
+    'main b\n'
+  ]);
+  assert.ok(/Another tracer named a merges the worker threads/.test(result.stderr));
+});
+
+/**
+ * Runs the checks from a given index, one after the other.
+ * @param {number} index The index of the next check.
+ * @param {number} failures Number of checks failed so far.
+ */
+function run(index, failures) {
+  if (index === checks.length) {
+    console.log((checks.length - failures) + ' of ' + checks.length + ' checks passed');
+    process.exitCode = failures > 0 ? 1 : 0;
+    return;
+  }
+  var name = checks[index].name;
+  var done = function(error) {
+    if (error) {
+      console.log('not ok ' + (index + 1) + ' - ' + name);
+      console.log(util.inspect(error).replace(/^/gm, '    '));
+    } else {
+      console.log('ok ' + (index + 1) + ' - ' + name);
+    }
+    run(index + 1, failures + (error ? 1 : 0));
+  };
+  var result;
+  try {
+    result = checks[index].fn();
+  } catch (e) {
+    return done(e);
+  }
+  if (result && typeof result.then === 'function') {
+    result.then(function() {
+      done(null);
+    }, function(e) {
+      done(e || new Error('rejected'));
+    });
+  } else {
+    done(null);
+  }
+}
+
+run(0, 0);